@@ -1,55 +1,821 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import SimpleVoxelViewport from './SimpleVoxelViewport';
 import Toolbar from './Toolbar';
-import { validateShape } from './ShapeValidator';
-import { exportToJSON, importFromJSON, importFromJSONWithGridConversion, validateJSONFormat } from './ShapeSerializer';
+import HistoryPanel from './HistoryPanel';
+import ValidationPanel from './ValidationPanel';
+import ConversionPreviewDialog from './ConversionPreviewDialog';
+import ContextMenu from './ContextMenu';
+import RecoveryDialog from './RecoveryDialog';
+import TabBar from './TabBar';
+import LibraryPanel from './LibraryPanel';
+import BatchImportDialog from './BatchImportDialog';
+import BatchExportDialog from './BatchExportDialog';
+import DiagnosticsDialog from './DiagnosticsDialog';
+import FormatNoticePanel from './FormatNoticePanel';
+import MigrationDialog from './MigrationDialog';
+import ModelExportDialog from './ModelExportDialog';
+import ModelImportDialog from './ModelImportDialog';
+import SliceEditor from './SliceEditor';
+import BlueprintPanel from './BlueprintPanel';
+import SilhouetteEditor from './SilhouetteEditor';
+import PlayTestPanel from './PlayTestPanel';
+import { createPlayTest, getChiselError, chiselVoxel, getMistakePositions, createMoveLog } from './PlayTest';
+import { validateShape, describeConnectivity, parseRuleset, DEFAULT_RULESET } from './ShapeValidator';
+import { importFromJSON, importFromJSONWithGridConversion, convertGridSize, findVoxelsLostInConversion } from './ShapeSerializer';
+import { createHistory, createCommand, pushCommand, travelTo, canUndo, canRedo, getCurrentEntry } from './EditHistory';
+import { analyzeSolvability, checkMaxMoves } from './SolvabilityChecker';
+import { estimateDifficulty } from './DifficultyEstimator';
+import { analyzeComponents, deleteFloatingComponents, bridgeComponents } from './ShapeRepair';
+import { rotateShape, mirrorShape, shiftShape, centerShape } from './ShapeTransforms';
+import { NO_SYMMETRY, getSymmetricPositions, expandSymmetricPositions, describeSymmetry } from './Symmetry';
+import { loadSnapshots, createSnapshot, saveSnapshot, deleteSnapshot, clearSnapshots, restoreSnapshot, SNAPSHOT_INTERVAL_MS } from './AutoSave';
+import { renderShapeThumbnail } from './ShapeThumbnail';
+import { createShapeId, loadLibrary, storeLibrary, createLibraryEntry, libraryEntryToShape, upsertLibraryEntry, getUniqueShapeName, downloadShapeFile, downloadBlob } from './Workspace';
+import { readShapeFiles, checkShapeFile, createLevelPackZip } from './LevelPack';
+import { diagnoseShapeFile, repairShapeJSON } from './ShapeDiagnostics';
+import { createModelFile } from './ModelExporters';
+import { MODEL_IMPORT_ACCEPT, isModelFileName, readModelFile, getDefaultImportGridSize } from './ModelImport';
+import { canWriteFolders, pickWritableFolder, folderFromFileList, migrateShapeFiles, writeMigratedFiles, createMigratedZip } from './LegacyMigration';
+import { selectAll, getSelectionSize, copyRegion, clearRegion, pasteRegion, moveRegion, isSelectionInsideGrid } from './VoxelSelection';
+
+const DEFAULT_GRID_SIZE = 7;
+const DEFAULT_FILE_NAME = 'untitled';
+const DEFAULT_METADATA = { difficulty: 5, maxMoves: 50, connectivity: 'face' };
+const AUTO_SAVE_DELAY_MS = 2000;
+const AUTO_SAVE_PERIOD_MS = 30000;
+// Solvability replays the whole carve and takes a noticeable time on large grids,
+// so it runs once edits pause instead of on every click.
+const ANALYSIS_DELAY_MS = 300;
+
+function getBaseName(name) {
+  return name.replace(/\.(json|vox|obj|stl)$/i, '') || DEFAULT_FILE_NAME;
+}
+
+// A tab is dirty when its history or name has moved on from what was last saved
+// to the library; undoing back to the saved point makes it clean again.
+function isTabStateDirty(tabState) {
+  return getCurrentEntry(tabState.history) !== tabState.savedVersion.entry ||
+    tabState.fileName !== tabState.savedVersion.name;
+}
+
+const TOOL_HELP = {
+  voxel: 'Voxel tool - Left click to edit one voxel, right drag to rotate camera',
+  paint: 'Paint tool - Hold the left button and drag across the shape to paint',
+  line: 'Line brush - Click the start and end cells of the line (Esc cancels)',
+  rectangle: 'Rectangle brush - Click two corners on the plane of the first face (Esc cancels)',
+  box: 'Box brush - Click two opposite corners of the box (Esc cancels)',
+  sphere: 'Sphere brush - Click to stamp a sphere centered on the hovered cell',
+  cylinder: 'Cylinder brush - Click to stamp an upright cylinder centered on the hovered cell',
+  select: 'Select tool - drag across voxels to select a box, shift+click to extend, right click for options'
+};
+
+// Arrow keys nudge the shape in the horizontal plane, Page Up/Down vertically.
+// Like the X/Y/Z/C transform keys they only act while the viewport has focus.
+const SHIFT_KEYS = {
+  ArrowLeft: 'x:-',
+  ArrowRight: 'x:+',
+  ArrowUp: 'z:-',
+  ArrowDown: 'z:+',
+  PageUp: 'y:+',
+  PageDown: 'y:-'
+};
 
 function App() {
-  const gridSize = 7;
+  const [gridSize, setGridSize] = useState(DEFAULT_GRID_SIZE);
   
-  const initializeFilledCube = () => {
-    const size = gridSize * gridSize * gridSize;
-    return new Array(size).fill(true);
+  const initializeFilledCube = (size = gridSize) => {
+    return new Array(size * size * size).fill(true);
   };
 
   const [voxelData, setVoxelData] = useState(initializeFilledCube);
   const [voxelMode, setVoxelMode] = useState('add');
   const [statusMessage, setStatusMessage] = useState('Ready - Left click to add voxels, right click to rotate camera');
-  const [shapeMetadata, setShapeMetadata] = useState({
-    difficulty: 5,
-    maxMoves: 50
-  });
+  const [shapeMetadata, setShapeMetadata] = useState(DEFAULT_METADATA);
+  const [history, setHistory] = useState(createHistory);
+  const [pendingConversion, setPendingConversion] = useState(null);
+  const [convertOnLoad, setConvertOnLoad] = useState(false);
+  const [activeTool, setActiveTool] = useState('voxel');
+  const [selection, setSelection] = useState(null);
+  const [clipboard, setClipboard] = useState(null);
+  const [isPasting, setIsPasting] = useState(false);
+  const [contextMenu, setContextMenu] = useState(null);
+  const [symmetry, setSymmetry] = useState(NO_SYMMETRY);
+  const [wrapShifts, setWrapShifts] = useState(false);
+  const [warningVoxels, setWarningVoxels] = useState(null);
+  const [brushOptions, setBrushOptions] = useState({ radius: 2, hollow: false });
+  const [ruleset, setRuleset] = useState(DEFAULT_RULESET);
+  const [focusedRuleId, setFocusedRuleId] = useState(null);
+  const [fileName, setFileName] = useState(DEFAULT_FILE_NAME);
+  const [recoverySnapshots, setRecoverySnapshots] = useState(loadSnapshots);
+  const [library, setLibrary] = useState(loadLibrary);
+  // Inactive tabs keep their whole editing state in `stash`; the active tab's
+  // state lives in the regular state variables above.
+  const [tabs, setTabs] = useState(() => [{ id: createShapeId(), stash: null }]);
+  const [activeTabId, setActiveTabId] = useState(() => tabs[0].id);
+  const [savedVersion, setSavedVersion] = useState({ entry: null, name: DEFAULT_FILE_NAME });
+  const [batchImportResults, setBatchImportResults] = useState(null);
+  const [batchExportEntries, setBatchExportEntries] = useState(null);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [formatNotices, setFormatNotices] = useState({});
+  const [migration, setMigration] = useState(null);
+  const [exportEncoding, setExportEncoding] = useState('binary');
+  const [isModelExportOpen, setIsModelExportOpen] = useState(false);
+  const [modelImport, setModelImport] = useState(null);
+  const [isSliceEditorOpen, setIsSliceEditorOpen] = useState(false);
+  const [sliceView, setSliceView] = useState({ axis: 'y', index: 0 });
+  const [layerView, setLayerView] = useState('ghost');
+  const [isBlueprintOpen, setIsBlueprintOpen] = useState(false);
+  const [isSilhouetteEditorOpen, setIsSilhouetteEditorOpen] = useState(false);
+  const [playTest, setPlayTest] = useState(null);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const dragDepthRef = useRef(0);
+  const viewportRef = useRef(null);
 
   const voxelCount = voxelData.filter(voxel => voxel).length;
 
+  const connectivity = shapeMetadata.connectivity;
+  const [analysis, setAnalysis] = useState(null);
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const result = analyzeSolvability(voxelData, gridSize, connectivity);
+      setAnalysis({
+        voxelData,
+        gridSize,
+        connectivity,
+        solvability: result,
+        difficultyEstimate: estimateDifficulty(voxelData, gridSize, result)
+      });
+    }, ANALYSIS_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [voxelData, gridSize, connectivity]);
+  const isAnalyzing = !analysis || analysis.voxelData !== voxelData ||
+    analysis.gridSize !== gridSize || analysis.connectivity !== connectivity;
+  const solvability = analysis && analysis.solvability;
+  const maxMovesCheck = solvability && checkMaxMoves(solvability, shapeMetadata.maxMoves);
+  const validation = useMemo(
+    () => validateShape(voxelData, gridSize, connectivity, ruleset),
+    [voxelData, gridSize, connectivity, ruleset]
+  );
+  const focusedRule = validation.results.find(result => result.id === focusedRuleId && !result.passed);
+  const floatingComponents = useMemo(
+    () => analyzeComponents(voxelData, gridSize, connectivity).floatingComponents,
+    [voxelData, gridSize, connectivity]
+  );
+  const difficultyEstimate = analysis && analysis.difficultyEstimate;
+
   const getVoxelIndex = useCallback((x, y, z) => {
     return x + y * gridSize + z * gridSize * gridSize;
   }, [gridSize]);
 
+  // Every change to the shape goes through here so it lands in the undo history.
+  const applyEdit = useCallback((label, changes, mergeKey = null) => {
+    const prevState = { voxelData, metadata: shapeMetadata, gridSize };
+    const nextState = { ...prevState, ...changes };
+    const command = createCommand(label, prevState, nextState, mergeKey);
+    
+    if (!command) return false;
+    
+    setGridSize(nextState.gridSize);
+    setVoxelData(nextState.voxelData);
+    setShapeMetadata(nextState.metadata);
+    setHistory(prevHistory => pushCommand(prevHistory, command));
+    setWarningVoxels(null);
+    return true;
+  }, [voxelData, shapeMetadata, gridSize]);
+
+  const handleHistoryJump = useCallback((targetCursor) => {
+    if (targetCursor === history.cursor) return;
+    
+    const result = travelTo(history, { voxelData, metadata: shapeMetadata, gridSize }, targetCursor);
+    setGridSize(result.state.gridSize);
+    setVoxelData(result.state.voxelData);
+    setShapeMetadata(result.state.metadata);
+    setHistory(result.history);
+    setWarningVoxels(null);
+    
+    const steps = Math.abs(result.history.cursor - history.cursor);
+    if (result.history.cursor < history.cursor) {
+      setStatusMessage(steps === 1
+        ? `Undo: ${history.entries[result.history.cursor].label}`
+        : `Undid ${steps} changes`);
+    } else {
+      setStatusMessage(steps === 1
+        ? `Redo: ${history.entries[history.cursor].label}`
+        : `Redid ${steps} changes`);
+    }
+  }, [history, voxelData, shapeMetadata, gridSize]);
+
+  const handleUndo = useCallback(() => {
+    if (!canUndo(history)) {
+      setStatusMessage('Nothing to undo');
+      return;
+    }
+    handleHistoryJump(history.cursor - 1);
+  }, [history, handleHistoryJump]);
+
+  const handleRedo = useCallback(() => {
+    if (!canRedo(history)) {
+      setStatusMessage('Nothing to redo');
+      return;
+    }
+    handleHistoryJump(history.cursor + 1);
+  }, [history, handleHistoryJump]);
+
+  const getActiveTabState = useCallback(() => ({
+    voxelData, gridSize, metadata: shapeMetadata, history, savedVersion, fileName
+  }), [voxelData, gridSize, shapeMetadata, history, savedVersion, fileName]);
+
+  const activateTabState = useCallback((tabState) => {
+    setVoxelData(tabState.voxelData);
+    setGridSize(tabState.gridSize);
+    setShapeMetadata(tabState.metadata);
+    setHistory(tabState.history);
+    setSavedVersion(tabState.savedVersion);
+    setFileName(tabState.fileName);
+    setSelection(null);
+    setIsPasting(false);
+    setWarningVoxels(null);
+    setFocusedRuleId(null);
+  }, []);
+
+  const isDirty = isTabStateDirty(getActiveTabState());
+
+  const openShapeInNewTab = useCallback((id, shape) => {
+    const activeState = getActiveTabState();
+    setTabs(prevTabs => prevTabs
+      .map(tab => tab.id === activeTabId ? { ...tab, stash: activeState } : tab)
+      .concat({ id, stash: null }));
+    activateTabState({
+      voxelData: shape.voxelData,
+      gridSize: shape.gridSize,
+      metadata: shape.metadata,
+      history: createHistory(),
+      savedVersion: { entry: null, name: shape.name },
+      fileName: shape.name
+    });
+    setActiveTabId(id);
+  }, [activeTabId, getActiveTabState, activateTabState]);
+
+  const handleSelectTab = useCallback((id) => {
+    if (id === activeTabId || pendingConversion) return;
+    
+    const target = tabs.find(tab => tab.id === id);
+    const activeState = getActiveTabState();
+    setTabs(prevTabs => prevTabs.map(tab => {
+      if (tab.id === activeTabId) return { ...tab, stash: activeState };
+      if (tab.id === id) return { ...tab, stash: null };
+      return tab;
+    }));
+    activateTabState(target.stash);
+    setActiveTabId(id);
+  }, [tabs, activeTabId, pendingConversion, getActiveTabState, activateTabState]);
+
+  const handleNewTab = useCallback(() => {
+    const openNames = tabs.map(tab => ({ name: tab.id === activeTabId ? fileName : tab.stash.fileName }));
+    openShapeInNewTab(createShapeId(), {
+      voxelData: new Array(DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE).fill(true),
+      gridSize: DEFAULT_GRID_SIZE,
+      metadata: DEFAULT_METADATA,
+      name: getUniqueShapeName(library.concat(openNames), DEFAULT_FILE_NAME)
+    });
+    setStatusMessage('Started a new shape');
+  }, [tabs, activeTabId, fileName, library, openShapeInNewTab]);
+
+  const handleCloseTab = useCallback((id) => {
+    if (pendingConversion) return;
+    
+    const tab = tabs.find(candidate => candidate.id === id);
+    const tabState = id === activeTabId ? getActiveTabState() : tab.stash;
+    if (isTabStateDirty(tabState) && !window.confirm(`Close ${tabState.fileName} and discard its unsaved changes?`)) {
+      return;
+    }
+    
+    const index = tabs.indexOf(tab);
+    const remaining = tabs.filter(candidate => candidate.id !== id);
+    
+    if (remaining.length === 0) {
+      const newId = createShapeId();
+      setTabs([{ id: newId, stash: null }]);
+      activateTabState({
+        voxelData: new Array(DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE).fill(true),
+        gridSize: DEFAULT_GRID_SIZE,
+        metadata: DEFAULT_METADATA,
+        history: createHistory(),
+        savedVersion: { entry: null, name: DEFAULT_FILE_NAME },
+        fileName: DEFAULT_FILE_NAME
+      });
+      setActiveTabId(newId);
+    } else if (id === activeTabId) {
+      const next = remaining[Math.min(index, remaining.length - 1)];
+      setTabs(remaining.map(candidate => candidate.id === next.id ? { ...candidate, stash: null } : candidate));
+      activateTabState(next.stash);
+      setActiveTabId(next.id);
+    } else {
+      setTabs(remaining);
+    }
+    setStatusMessage(`Closed ${tabState.fileName}`);
+  }, [tabs, activeTabId, pendingConversion, getActiveTabState, activateTabState]);
+
+  const updateLibrary = useCallback((newLibrary) => {
+    try {
+      storeLibrary(newLibrary);
+      setLibrary(newLibrary);
+      return true;
+    } catch (error) {
+      alert(`Could not save the library - browser storage may be full:\n${error.message}`);
+      setStatusMessage('Library save failed');
+      return false;
+    }
+  }, []);
+
+  const handleSaveToLibrary = useCallback(() => {
+    const name = fileName.trim() || DEFAULT_FILE_NAME;
+    const entry = createLibraryEntry({
+      id: activeTabId,
+      name,
+      voxelData,
+      gridSize,
+      metadata: shapeMetadata,
+      thumbnail: renderShapeThumbnail(voxelData, gridSize, 64)
+    });
+    
+    if (!updateLibrary(upsertLibraryEntry(library, entry))) return;
+    
+    setFileName(name);
+    setSavedVersion({ entry: getCurrentEntry(history), name });
+    setStatusMessage(validation.isValid
+      ? `Saved ${name} to the library`
+      : `Saved ${name} to the library (it still fails validation and cannot be exported yet)`);
+  }, [activeTabId, fileName, voxelData, gridSize, shapeMetadata, history, library, validation, updateLibrary]);
+
+  // Files opened from disk go straight into the library so they survive a reload.
+  const openImportedShape = useCallback((sourceName, importedData) => {
+    const id = createShapeId();
+    const name = getUniqueShapeName(library, importedData.name || getBaseName(sourceName));
+    const entry = createLibraryEntry({
+      id,
+      name,
+      voxelData: importedData.voxelData,
+      gridSize: importedData.gridSize,
+      metadata: importedData.metadata,
+      thumbnail: renderShapeThumbnail(importedData.voxelData, importedData.gridSize, 64)
+    });
+    updateLibrary(upsertLibraryEntry(library, entry));
+    openShapeInNewTab(id, { ...importedData, name });
+    
+    if (importedData.legacyNotes && importedData.legacyNotes.length > 0) {
+      setFormatNotices(prev => ({ ...prev, [id]: { fileName: sourceName, notes: importedData.legacyNotes } }));
+    }
+  }, [library, updateLibrary, openShapeInNewTab]);
+
+  const dismissFormatNotice = useCallback(() => {
+    setFormatNotices(prev => {
+      const { [activeTabId]: dismissed, ...rest } = prev;
+      return rest;
+    });
+  }, [activeTabId]);
+
+  const handleOpenLibraryEntry = useCallback((entry) => {
+    if (tabs.some(tab => tab.id === entry.id)) {
+      handleSelectTab(entry.id);
+      return;
+    }
+    
+    try {
+      openShapeInNewTab(entry.id, libraryEntryToShape(entry));
+      setStatusMessage(`Opened ${entry.name}`);
+    } catch (error) {
+      setStatusMessage(`Could not open ${entry.name}: ${error.message}`);
+    }
+  }, [tabs, handleSelectTab, openShapeInNewTab]);
+
+  const handleDuplicateLibraryEntry = useCallback((entry) => {
+    const copy = {
+      ...entry,
+      id: createShapeId(),
+      name: getUniqueShapeName(library, `${entry.name} copy`),
+      updatedAt: Date.now()
+    };
+    if (updateLibrary(upsertLibraryEntry(library, copy))) {
+      setStatusMessage(`Duplicated ${entry.name} as ${copy.name}`);
+    }
+  }, [library, updateLibrary]);
+
+  const handleRenameLibraryEntry = useCallback((entry) => {
+    const input = window.prompt('New name for the shape:', entry.name);
+    const name = input && input.trim();
+    if (!name || name === entry.name) return;
+    
+    if (!updateLibrary(upsertLibraryEntry(library, { ...entry, name, updatedAt: Date.now() }))) return;
+    
+    // An open tab follows the rename without becoming dirty.
+    if (entry.id === activeTabId) {
+      setFileName(name);
+      setSavedVersion(prev => ({ ...prev, name }));
+    } else {
+      setTabs(prevTabs => prevTabs.map(tab => tab.id === entry.id
+        ? { ...tab, stash: { ...tab.stash, fileName: name, savedVersion: { ...tab.stash.savedVersion, name } } }
+        : tab));
+    }
+    setStatusMessage(`Renamed ${entry.name} to ${name}`);
+  }, [library, activeTabId, updateLibrary]);
+
+  const handleDeleteLibraryEntry = useCallback((entry) => {
+    if (!window.confirm(`Delete ${entry.name} from the library? Open tabs keep their copy until closed.`)) return;
+    
+    if (updateLibrary(library.filter(existing => existing.id !== entry.id))) {
+      setStatusMessage(`Deleted ${entry.name} from the library`);
+    }
+  }, [library, updateLibrary]);
+
+  const handleExportLibraryEntry = useCallback((entry) => {
+    try {
+      const shape = libraryEntryToShape(entry);
+      downloadShapeFile(entry.name, shape.voxelData, shape.metadata, exportEncoding);
+      setStatusMessage(`Exported ${entry.name}.json`);
+    } catch (error) {
+      setStatusMessage(`Export error: ${error.message}`);
+    }
+  }, [exportEncoding]);
+
+  const checkBatchFiles = useCallback(async (files) => {
+    try {
+      setStatusMessage(`Reading ${files.length} files…`);
+      const shapeFiles = await readShapeFiles(files);
+      if (shapeFiles.length === 0) {
+        setStatusMessage('Batch import found no Chiselcore JSON files');
+        return;
+      }
+      setBatchImportResults(shapeFiles.map(shapeFile => checkShapeFile(shapeFile, ruleset)));
+      setStatusMessage(`Checked ${shapeFiles.length} shape files`);
+    } catch (error) {
+      setStatusMessage(`Batch import error: ${error.message}`);
+      console.error('Batch import error:', error);
+    }
+  }, [ruleset]);
+
+  const handleBatchImport = useCallback(() => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.zip';
+    input.multiple = true;
+    input.onchange = (e) => {
+      const files = [...e.target.files];
+      if (files.length > 0) checkBatchFiles(files);
+    };
+    input.click();
+  }, [checkBatchFiles]);
+
+  const handleConfirmBatchImport = useCallback((results) => {
+    let newLibrary = library;
+    results.forEach(result => {
+      const name = getUniqueShapeName(newLibrary, result.shape.name || getBaseName(result.fileName.split('/').pop()));
+      newLibrary = upsertLibraryEntry(newLibrary, createLibraryEntry({
+        id: createShapeId(),
+        name,
+        voxelData: result.shape.voxelData,
+        gridSize: result.shape.gridSize,
+        metadata: result.shape.metadata,
+        thumbnail: renderShapeThumbnail(result.shape.voxelData, result.shape.gridSize, 64)
+      }));
+    });
+    
+    setBatchImportResults(null);
+    if (updateLibrary(newLibrary)) {
+      setStatusMessage(`Imported ${results.length} shapes into the library`);
+    }
+  }, [library, updateLibrary]);
+
+  const handleOpenBatchExport = useCallback(() => {
+    setBatchExportEntries(library.map(entry => {
+      const shape = libraryEntryToShape(entry);
+      return {
+        ...entry,
+        shape,
+        validation: validateShape(shape.voxelData, shape.gridSize, shape.metadata.connectivity, ruleset)
+      };
+    }));
+  }, [library, ruleset]);
+
+  const handleConfirmBatchExport = useCallback((packName, entries) => {
+    try {
+      const zip = createLevelPackZip(packName, entries.map(entry => ({ ...entry.shape, name: entry.name })), exportEncoding);
+      downloadBlob(`${packName}.zip`, zip, 'application/zip');
+      setBatchExportEntries(null);
+      setStatusMessage(`Exported ${entries.length} shapes to ${packName}.zip`);
+    } catch (error) {
+      setStatusMessage(`Pack export error: ${error.message}`);
+      console.error('Pack export error:', error);
+    }
+  }, [exportEncoding]);
+
+  const reviewMigration = useCallback(async (folder, canWrite) => {
+    if (folder.files.length === 0) {
+      setStatusMessage(`No JSON files found in ${folder.name}`);
+      return;
+    }
+    setStatusMessage(`Checking ${folder.files.length} files in ${folder.name}…`);
+    const results = await migrateShapeFiles(folder.files);
+    setMigration({ folderName: folder.name, results, canWrite });
+    setStatusMessage(`Checked ${results.length} files in ${folder.name}`);
+  }, []);
+
+  // Folders are rewritten in place where the browser allows it; otherwise the
+  // folder is read through a directory input and the result is a zip.
+  const handleMigrateFolder = useCallback(async () => {
+    try {
+      if (canWriteFolders()) {
+        const folder = await pickWritableFolder();
+        if (folder) await reviewMigration(folder, true);
+        return;
+      }
+      
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.webkitdirectory = true;
+      input.onchange = (e) => {
+        reviewMigration(folderFromFileList(e.target.files), false).catch(error => {
+          setStatusMessage(`Migration error: ${error.message}`);
+          console.error('Migration error:', error);
+        });
+      };
+      input.click();
+    } catch (error) {
+      setStatusMessage(`Migration error: ${error.message}`);
+      console.error('Migration error:', error);
+    }
+  }, [reviewMigration]);
+
+  const handleApplyMigration = useCallback(async () => {
+    const { folderName, results, canWrite } = migration;
+    setMigration(null);
+    
+    try {
+      if (canWrite) {
+        const count = await writeMigratedFiles(results);
+        setStatusMessage(`Migrated ${count} files in ${folderName}`);
+      } else {
+        const zip = createMigratedZip(results);
+        downloadBlob(`${folderName}-migrated.zip`, zip, 'application/zip');
+        setStatusMessage(`Downloaded migrated files as ${folderName}-migrated.zip`);
+      }
+    } catch (error) {
+      setStatusMessage(`Migration error: ${error.message}`);
+      console.error('Migration error:', error);
+    }
+  }, [migration]);
+
+  const handleStartPlayTest = useCallback(() => {
+    setSelection(null);
+    setIsPasting(false);
+    setPlayTest(createPlayTest(voxelData, gridSize, shapeMetadata.maxMoves, connectivity));
+    setStatusMessage(`Play test: chisel the ${gridSize}³ cube down to the shape in ${shapeMetadata.maxMoves} moves`);
+  }, [voxelData, gridSize, shapeMetadata.maxMoves, connectivity]);
+
+  const handleStopPlayTest = useCallback(() => {
+    setPlayTest(null);
+    setStatusMessage('Play test stopped');
+  }, []);
+
+  // The session plays against the shape it started with, so any edit, tab switch
+  // or load ends it rather than leaving it judged against a stale target.
+  useEffect(() => {
+    setPlayTest(prev => (prev && (prev.targetData !== voxelData || prev.gridSize !== gridSize) ? null : prev));
+  }, [voxelData, gridSize]);
+
+  const handleChisel = useCallback((x, y, z) => {
+    if (playTest.status !== 'playing') {
+      setStatusMessage('The play test is over - restart it to play again');
+      return;
+    }
+
+    const error = getChiselError(playTest, { x, y, z });
+    if (error) {
+      setStatusMessage(error);
+      return;
+    }
+
+    const next = chiselVoxel(playTest, { x, y, z });
+    setPlayTest(next);
+    if (next.status === 'won') {
+      setStatusMessage(`Play test won: ${next.reason}`);
+    } else if (next.status === 'lost') {
+      setStatusMessage(`Play test lost: ${next.reason}`);
+    } else if (next.moves[next.moves.length - 1].isMistake) {
+      setStatusMessage(`Move ${next.moves.length}: mistake - (${x}, ${y}, ${z}) belongs to the target shape`);
+    } else {
+      setStatusMessage(`Move ${next.moves.length}: chiselled (${x}, ${y}, ${z})`);
+    }
+  }, [playTest]);
+
+  const handleExportMoveLog = useCallback(() => {
+    const name = fileName.trim() || DEFAULT_FILE_NAME;
+    const log = createMoveLog(playTest, name);
+    downloadBlob(`${name}-moves.json`, JSON.stringify(log, null, 2), 'application/json');
+    setStatusMessage(`Exported ${log.moveCount} moves to ${name}-moves.json${log.result === 'won' ? ' as a reference solution' : ''}`);
+  }, [playTest, fileName]);
+
   const handleVoxelAction = useCallback((x, y, z) => {
-    const index = getVoxelIndex(x, y, z);
-    
-    setVoxelData(prevData => {
-      const newData = [...prevData];
-      if (voxelMode === 'add') {
-        newData[index] = true;
-        setStatusMessage(`Added voxel at (${x}, ${y}, ${z})`);
-      } else if (voxelMode === 'remove') {
-        const currentVoxelCount = prevData.filter(voxel => voxel).length;
-        if (currentVoxelCount <= 1) {
-          setStatusMessage('Cannot remove last voxel - shape must have at least one voxel');
-          return prevData;
-        }
-        newData[index] = false;
-        setStatusMessage(`Removed voxel at (${x}, ${y}, ${z})`);
+    const positions = getSymmetricPositions({ x, y, z }, gridSize, symmetry);
+    const mirroredText = positions.length > 1 ? ` (+${positions.length - 1} mirrored)` : '';
+    const newData = [...voxelData];
+    
+    if (voxelMode === 'add') {
+      positions.forEach(position => {
+        newData[getVoxelIndex(position.x, position.y, position.z)] = true;
+      });
+      if (applyEdit(`Add voxel (${x}, ${y}, ${z})${mirroredText}`, { voxelData: newData })) {
+        setStatusMessage(`Added voxel at (${x}, ${y}, ${z})${mirroredText}`);
+      }
+    } else if (voxelMode === 'remove') {
+      positions.forEach(position => {
+        newData[getVoxelIndex(position.x, position.y, position.z)] = false;
+      });
+      if (!newData.some(voxel => voxel)) {
+        setStatusMessage('Cannot remove last voxel - shape must have at least one voxel');
+        return;
+      }
+      if (applyEdit(`Remove voxel (${x}, ${y}, ${z})${mirroredText}`, { voxelData: newData })) {
+        setStatusMessage(`Removed voxel at (${x}, ${y}, ${z})${mirroredText}`);
+      }
+    }
+  }, [getVoxelIndex, gridSize, symmetry, voxelMode, voxelData, applyEdit]);
+
+  // Kept in range when the grid shrinks so the editor never shows a missing layer.
+  const slice = useMemo(() => ({
+    axis: sliceView.axis,
+    index: Math.min(sliceView.index, gridSize - 1)
+  }), [sliceView, gridSize]);
+
+  const handleSliceCells = useCallback((cells, value) => {
+    const targets = expandSymmetricPositions(cells, gridSize, symmetry);
+    const newData = [...voxelData];
+    let changedCount = 0;
+    
+    targets.forEach(position => {
+      const index = getVoxelIndex(position.x, position.y, position.z);
+      if (!!newData[index] !== value) {
+        newData[index] = value;
+        changedCount++;
+      }
+    });
+    
+    if (changedCount === 0) return;
+    
+    if (!value && !newData.some(voxel => voxel)) {
+      setStatusMessage('Cannot remove the last voxel - shape must have at least one voxel');
+      return;
+    }
+    
+    const layerText = `${slice.axis.toUpperCase()} layer ${slice.index}`;
+    applyEdit(`${value ? 'Add' : 'Remove'} ${changedCount} on ${layerText}`, { voxelData: newData });
+    setStatusMessage(`${value ? 'Added' : 'Removed'} ${changedCount} voxels on ${layerText}`);
+  }, [voxelData, gridSize, symmetry, slice, applyEdit, getVoxelIndex]);
+
+  const handleApplySilhouettes = useCallback((newData, mismatches) => {
+    const unmatched = mismatches.filter(mismatch => mismatch.missingCells.length > 0);
+    applyEdit('Build from silhouettes', { voxelData: newData });
+    setIsSilhouetteEditorOpen(false);
+    setStatusMessage(unmatched.length > 0
+      ? `Built ${newData.filter(voxel => voxel).length} voxels from silhouettes - ${unmatched.map(mismatch => mismatch.label).join(', ')} not fully matched`
+      : `Built ${newData.filter(voxel => voxel).length} voxels from silhouettes`);
+  }, [applyEdit]);
+
+  const handleBrushCommit = useCallback((positions, label) => {
+    const targets = expandSymmetricPositions(positions, gridSize, symmetry);
+    const isAdding = voxelMode === 'add';
+    const newData = [...voxelData];
+    let changedCount = 0;
+    
+    targets.forEach(position => {
+      const index = getVoxelIndex(position.x, position.y, position.z);
+      if (!!newData[index] !== isAdding) {
+        newData[index] = isAdding;
+        changedCount++;
       }
-      return newData;
     });
-  }, [getVoxelIndex, voxelMode]);
+    
+    if (changedCount === 0) {
+      setStatusMessage(`${label}: nothing to ${voxelMode}`);
+      return;
+    }
+    
+    if (!isAdding && !newData.some(voxel => voxel)) {
+      setStatusMessage(`Cannot apply ${label.toLowerCase()} - shape must have at least one voxel`);
+      return;
+    }
+    
+    applyEdit(`${label} (${isAdding ? '+' : '-'}${changedCount})`, { voxelData: newData });
+    setStatusMessage(`${label}: ${isAdding ? 'added' : 'removed'} ${changedCount} voxels`);
+  }, [getVoxelIndex, gridSize, symmetry, voxelMode, voxelData, applyEdit]);
+
+  const handleTransform = useCallback((transform) => {
+    const [operation, axis, direction] = transform.split(':');
+    const axisLabel = axis ? axis.toUpperCase() : '';
+    
+    if (operation === 'rotate') {
+      const clockwise = direction === '-';
+      applyEdit(`Rotate ${clockwise ? '-' : '+'}90° about ${axisLabel}`, { voxelData: rotateShape(voxelData, gridSize, axis, clockwise) });
+      setStatusMessage(`Rotated shape ${clockwise ? '-' : '+'}90° about the ${axisLabel} axis`);
+    } else if (operation === 'mirror') {
+      applyEdit(`Mirror across ${axisLabel}`, { voxelData: mirrorShape(voxelData, gridSize, axis) });
+      setStatusMessage(`Mirrored shape across the ${axisLabel} axis`);
+    } else if (operation === 'shift') {
+      const delta = direction === '-' ? -1 : 1;
+      const wrap = wrapShifts !== (transform.endsWith(':wrap'));
+      const result = shiftShape(voxelData, gridSize, axis, delta, wrap);
+      const moveText = `${delta > 0 ? '+' : '-'}1 along ${axisLabel}`;
+      
+      if (result.lostVoxels.length > 0) {
+        setWarningVoxels(result.lostVoxels);
+        setStatusMessage(`Cannot shift ${moveText}: ${result.lostVoxels.length} voxels (shown in red) would be pushed ` +
+          'out of the grid - enable Wrap or center the shape first');
+        return;
+      }
+      
+      applyEdit(`Shift ${moveText}${wrap ? ' (wrap)' : ''}`, { voxelData: result.voxelData });
+      setStatusMessage(`Shifted shape ${moveText}${wrap ? ' with wrap-around' : ''}`);
+    } else if (operation === 'center') {
+      const result = centerShape(voxelData, gridSize);
+      const { x, y, z } = result.offset;
+      if (applyEdit('Center shape', { voxelData: result.voxelData })) {
+        setStatusMessage(`Centered shape - moved by (${x}, ${y}, ${z})`);
+      } else {
+        setStatusMessage('Shape is already centered');
+      }
+    }
+  }, [voxelData, gridSize, wrapShifts, applyEdit]);
+
+  const handleDeleteFloating = useCallback(() => {
+    const result = deleteFloatingComponents(voxelData, gridSize, connectivity);
+    if (result.removedCount === 0) return;
+    
+    applyEdit(`Delete floating parts (-${result.removedCount})`, { voxelData: result.voxelData });
+    setStatusMessage(`Deleted ${result.removedParts} floating parts (${result.removedCount} voxels)`);
+  }, [voxelData, gridSize, connectivity, applyEdit]);
+
+  const handleBridgeFloating = useCallback(() => {
+    const result = bridgeComponents(voxelData, gridSize, connectivity);
+    if (result.addedVoxels.length === 0) return;
+    
+    applyEdit(`Bridge floating parts (+${result.addedVoxels.length})`, { voxelData: result.voxelData });
+    setStatusMessage(`Bridged floating parts to the main body with ${result.addedVoxels.length} new voxels`);
+  }, [voxelData, gridSize, connectivity, applyEdit]);
+
+  const handleSymmetryChange = useCallback((newSymmetry) => {
+    setSymmetry(newSymmetry);
+    setStatusMessage(`Symmetry: ${describeSymmetry(newSymmetry)}`);
+  }, []);
 
   const handleFillCube = useCallback(() => {
-    setVoxelData(initializeFilledCube());
+    applyEdit('Fill cube', { voxelData: initializeFilledCube() });
     setStatusMessage('Filled entire cube');
+  }, [gridSize, applyEdit]);
+
+  const handleGridSizeChange = useCallback((newGridSize) => {
+    if (newGridSize === gridSize) return;
+    
+    const lostVoxels = findVoxelsLostInConversion(voxelData, gridSize, newGridSize);
+    
+    if (lostVoxels.length > 0) {
+      setPendingConversion({
+        title: 'Resize Grid',
+        fromGridSize: gridSize,
+        toGridSize: newGridSize,
+        voxelData,
+        voxelCount,
+        lostVoxels
+      });
+      setStatusMessage(`Shrinking to ${newGridSize}³ would discard ${lostVoxels.length} voxels - review the preview`);
+      return;
+    }
+    
+    const resizedData = convertGridSize(voxelData, gridSize, newGridSize);
+    applyEdit(`Resize grid to ${newGridSize}³`, { gridSize: newGridSize, voxelData: resizedData });
+    setStatusMessage(`Resized grid from ${gridSize}³ to ${newGridSize}³`);
+  }, [gridSize, voxelData, voxelCount, applyEdit]);
+
+  const handleConfirmConversion = useCallback(() => {
+    const conversion = pendingConversion;
+    setPendingConversion(null);
+    
+    if (conversion.jsonData) {
+      const importedData = importFromJSONWithGridConversion(conversion.jsonData, conversion.toGridSize);
+      openImportedShape(conversion.fileName, importedData);
+      setStatusMessage(`Shape loaded from ${conversion.fileName} (converted from ${conversion.fromGridSize}³ to ` +
+        `${conversion.toGridSize}³, ${conversion.lostVoxels.length} voxels cropped)`);
+      return;
+    }
+    
+    const resizedData = convertGridSize(conversion.voxelData, conversion.fromGridSize, conversion.toGridSize);
+    applyEdit(`Resize grid to ${conversion.toGridSize}³`, { gridSize: conversion.toGridSize, voxelData: resizedData });
+    setStatusMessage(`Resized grid from ${conversion.fromGridSize}³ to ${conversion.toGridSize}³ ` +
+      `(${conversion.lostVoxels.length} voxels cropped)`);
+  }, [pendingConversion, applyEdit, openImportedShape]);
+
+  const handleCancelConversion = useCallback(() => {
+    setPendingConversion(null);
+    setStatusMessage('Conversion cancelled - nothing was changed');
   }, []);
 
   const handleClearGrid = useCallback(() => {
@@ -62,12 +828,125 @@ function App() {
     const centerIndex = centerX + centerY * gridSize + centerZ * gridSize * gridSize;
     newData[centerIndex] = true;
     
-    setVoxelData(newData);
+    applyEdit('Clear shape', { voxelData: newData });
     setStatusMessage(`Cleared shape - center voxel remains at (${centerX}, ${centerY}, ${centerZ})`);
-  }, [gridSize]);
+  }, [gridSize, applyEdit]);
 
   const handleMetadataChange = useCallback((newMetadata) => {
-    setShapeMetadata(newMetadata);
+    if (newMetadata.difficulty !== shapeMetadata.difficulty) {
+      applyEdit(`Set difficulty to ${newMetadata.difficulty}`, { metadata: newMetadata }, 'difficulty');
+    } else if (newMetadata.maxMoves !== shapeMetadata.maxMoves) {
+      applyEdit(`Set max moves to ${newMetadata.maxMoves}`, { metadata: newMetadata }, 'maxMoves');
+    } else if (newMetadata.connectivity !== shapeMetadata.connectivity) {
+      applyEdit(`Set connectivity to ${newMetadata.connectivity}`, { metadata: newMetadata });
+      setStatusMessage(`Connectivity: voxels must be connected ${describeConnectivity(newMetadata.connectivity)}`);
+    }
+  }, [shapeMetadata, applyEdit]);
+
+  useEffect(() => {
+    // Resizing, loading or undoing across a resize can leave the box outside the grid.
+    if (selection && !isSelectionInsideGrid(selection, gridSize)) {
+      setSelection(null);
+    }
+  }, [gridSize, selection]);
+
+  const handleToolChange = useCallback((tool) => {
+    setActiveTool(tool);
+    setIsPasting(false);
+    setStatusMessage(TOOL_HELP[tool]);
+  }, []);
+
+  const handleSelectAll = useCallback(() => {
+    setActiveTool('select');
+    setSelection(selectAll(gridSize));
+    setStatusMessage('Selected the whole grid');
+  }, [gridSize]);
+
+  const handleDeselect = useCallback(() => {
+    setSelection(null);
+    setIsPasting(false);
+    setStatusMessage('Selection cleared');
+  }, []);
+
+  const handleCopy = useCallback(() => {
+    if (!selection) {
+      setStatusMessage('Nothing selected to copy');
+      return;
+    }
+    const copied = copyRegion(voxelData, gridSize, selection);
+    setClipboard(copied);
+    const size = getSelectionSize(selection);
+    setStatusMessage(`Copied ${copied.voxelCount} voxels (${size.x}×${size.y}×${size.z} region)`);
+  }, [selection, voxelData, gridSize]);
+
+  const removeSelectedVoxels = useCallback((label) => {
+    const clearedData = clearRegion(voxelData, gridSize, selection);
+    if (!clearedData.some(voxel => voxel)) {
+      setStatusMessage(`Cannot ${label.toLowerCase()} - shape must have at least one voxel`);
+      return false;
+    }
+    applyEdit(`${label} selection`, { voxelData: clearedData });
+    return true;
+  }, [voxelData, gridSize, selection, applyEdit]);
+
+  const handleCut = useCallback(() => {
+    if (!selection) {
+      setStatusMessage('Nothing selected to cut');
+      return;
+    }
+    const copied = copyRegion(voxelData, gridSize, selection);
+    if (removeSelectedVoxels('Cut')) {
+      setClipboard(copied);
+      setStatusMessage(`Cut ${copied.voxelCount} voxels`);
+    }
+  }, [selection, voxelData, gridSize, removeSelectedVoxels]);
+
+  const handleDeleteSelection = useCallback(() => {
+    if (!selection) return;
+    if (removeSelectedVoxels('Delete')) {
+      setStatusMessage('Deleted selected voxels');
+    }
+  }, [selection, removeSelectedVoxels]);
+
+  const handlePaste = useCallback(() => {
+    if (!clipboard) {
+      setStatusMessage('Clipboard is empty - copy a selection first');
+      return;
+    }
+    setActiveTool('select');
+    setIsPasting(true);
+    setStatusMessage(`Pasting ${clipboard.voxelCount} voxels - click a face to place them, Esc to cancel`);
+  }, [clipboard]);
+
+  const handlePasteCommit = useCallback((origin) => {
+    const result = pasteRegion(voxelData, gridSize, clipboard, origin);
+    if (result.changedCount === 0) {
+      setIsPasting(false);
+      setStatusMessage(result.pastedCount === 0
+        ? 'Nothing pasted - the clipboard fell entirely outside the grid'
+        : 'Nothing pasted - every clipboard voxel is already filled there');
+      return;
+    }
+    applyEdit(`Paste ${result.pastedCount} voxels`, { voxelData: result.voxelData });
+    setSelection(result.selection);
+    setIsPasting(false);
+    
+    let message = `Pasted ${result.pastedCount} voxels at (${origin.x}, ${origin.y}, ${origin.z})`;
+    if (result.clippedCount > 0) {
+      message += ` - ${result.clippedCount} voxels fell outside the grid`;
+    }
+    setStatusMessage(message);
+  }, [voxelData, gridSize, clipboard, applyEdit]);
+
+  const handleMoveSelection = useCallback((offset) => {
+    const result = moveRegion(voxelData, gridSize, selection, offset);
+    applyEdit('Move selection', { voxelData: result.voxelData });
+    setSelection(result.selection);
+    setStatusMessage(`Moved selection by (${offset.x}, ${offset.y}, ${offset.z})`);
+  }, [voxelData, gridSize, selection, applyEdit]);
+
+  const handleContextMenu = useCallback((x, y) => {
+    setContextMenu({ x, y });
   }, []);
 
   const handleModeToggle = useCallback(() => {
@@ -80,41 +959,98 @@ function App() {
     });
   }, []);
 
-  const handleSaveShape = useCallback(async () => {
+  const handleExportShape = useCallback(async () => {
     try {
-      const validation = validateShape(voxelData, gridSize, 'face');
-      
-      console.log('Shape validation result:', validation);
-      if (validation.debugInfo && validation.debugInfo.componentCount > 1) {
-        console.log('Found multiple components:');
-        validation.debugInfo.components.forEach((component, index) => {
-          console.log(`Component ${index}:`, component.positions);
-        });
-        console.log('Floating voxels:', validation.debugInfo.floatingVoxels);
-      }
-      
       if (!validation.isValid) {
-        const errorMessage = `Cannot save shape:\n${validation.errors.join('\n')}`;
+        const errorMessage = `Cannot export shape:\n${validation.errors.join('\n')}`;
         alert(errorMessage);
-        setStatusMessage('Save failed - shape is invalid');
+        setStatusMessage(floatingComponents.length > 0
+          ? 'Export failed - floating parts are colored in the viewport; delete or bridge them from the toolbar'
+          : 'Export failed - see the Validation panel for the rules that failed');
         return;
       }
       
-      const jsonData = exportToJSON(voxelData, shapeMetadata);
-      const blob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'shape.json';
-      a.click();
-      URL.revokeObjectURL(url);
-      setStatusMessage('Shape downloaded successfully');
+      const name = fileName.trim() || DEFAULT_FILE_NAME;
+      downloadShapeFile(name, voxelData, shapeMetadata, exportEncoding);
+      setStatusMessage(validation.warnings.length > 0
+        ? `Exported ${name}.json with ${validation.warnings.length} validation warnings`
+        : `Exported ${name}.json`);
     } catch (error) {
-      const errorMessage = `Save error: ${error.message}`;
+      const errorMessage = `Export error: ${error.message}`;
       setStatusMessage(errorMessage);
-      console.error('Save error:', error);
+      console.error('Export error:', error);
+    }
+  }, [voxelData, shapeMetadata, fileName, validation, floatingComponents, exportEncoding]);
+
+  // Model export is for artwork and marketing, so it does not require the
+  // shape to pass validation like a level export does.
+  const handleExportModel = useCallback((format, options) => {
+    try {
+      const name = fileName.trim() || DEFAULT_FILE_NAME;
+      const file = createModelFile(format, voxelData, gridSize, options, name);
+      downloadBlob(file.fileName, file.data, file.type);
+      setIsModelExportOpen(false);
+      setStatusMessage(`Exported ${file.fileName}`);
+    } catch (error) {
+      setStatusMessage(`Model export error: ${error.message}`);
+      console.error('Model export error:', error);
     }
-  }, [voxelData, gridSize, shapeMetadata]);
+  }, [voxelData, gridSize, fileName]);
+
+  const openShapeJSON = useCallback((fileName, jsonData) => {
+    const importedData = importFromJSON(jsonData);
+    
+    // Shapes keep their native size unless the user explicitly asked to fit
+    // them into the current grid, and even then only after seeing what is lost.
+    if (convertOnLoad && importedData.gridSize !== gridSize) {
+      const importedCount = importedData.voxelData.filter(voxel => voxel).length;
+      setPendingConversion({
+        title: `Convert ${fileName}`,
+        fromGridSize: importedData.gridSize,
+        toGridSize: gridSize,
+        voxelData: importedData.voxelData,
+        voxelCount: importedCount,
+        lostVoxels: findVoxelsLostInConversion(importedData.voxelData, importedData.gridSize, gridSize),
+        jsonData,
+        fileName
+      });
+      setStatusMessage(`Previewing conversion of ${fileName} from ${importedData.gridSize}³ to ${gridSize}³`);
+      return;
+    }
+    
+    openImportedShape(fileName, importedData);
+    const legacyText = importedData.legacyNotes.length > 0 ? ' - legacy format, see the notice' : '';
+    setStatusMessage(`Shape loaded from ${fileName} (${importedData.gridSize}³) into a new tab${legacyText}`);
+  }, [gridSize, convertOnLoad, openImportedShape]);
+
+  // Malformed files open the diagnostics dialog instead of failing outright.
+  const loadShapeText = useCallback((fileName, text) => {
+    try {
+      const diagnosis = diagnoseShapeFile(text);
+      if (diagnosis.problems.length > 0) {
+        setDiagnostics({ fileName, diagnosis });
+        setStatusMessage(`Load failed - ${fileName} has ${diagnosis.problems.length} problems`);
+        return;
+      }
+      openShapeJSON(fileName, diagnosis.jsonData);
+    } catch (error) {
+      setStatusMessage(`Load error: ${error.message}`);
+      console.error('Load error:', error);
+    }
+  }, [openShapeJSON]);
+
+  const handleRepairAndLoad = useCallback(() => {
+    const { fileName, diagnosis } = diagnostics;
+    setDiagnostics(null);
+    
+    try {
+      openShapeJSON(fileName, repairShapeJSON(diagnosis));
+      setStatusMessage(`Repaired ${diagnosis.problems.length} problems in ${fileName} and loaded it into a new tab`);
+    } catch (error) {
+      alert(error.message);
+      setStatusMessage(`Repair failed for ${fileName}`);
+    }
+  }, [diagnostics, openShapeJSON]);
 
   const handleLoadShape = useCallback(async () => {
     try {
@@ -125,33 +1061,7 @@ function App() {
         const file = e.target.files[0];
         if (file) {
           const reader = new FileReader();
-          reader.onload = (event) => {
-            try {
-              const jsonData = JSON.parse(event.target.result);
-              
-              const formatValidation = validateJSONFormat(jsonData);
-              if (!formatValidation.isValid) {
-                const errorMessage = `Invalid file format:\n${formatValidation.errors.join('\n')}`;
-                alert(errorMessage);
-                setStatusMessage('Load failed - invalid format');
-                return;
-              }
-              
-              const importedData = importFromJSONWithGridConversion(jsonData, gridSize);
-              
-              setVoxelData(importedData.voxelData);
-              setShapeMetadata(importedData.metadata);
-              
-              let statusMessage = `Shape loaded from ${file.name}`;
-              if (importedData.wasConverted) {
-                statusMessage += ` (converted from ${importedData.originalGridSize}³ to ${gridSize}³)`;
-              }
-              setStatusMessage(statusMessage);
-              
-            } catch (error) {
-              setStatusMessage(`Load error: ${error.message}`);
-            }
-          };
+          reader.onload = (event) => loadShapeText(file.name, event.target.result);
           reader.readAsText(file);
         }
       };
@@ -160,8 +1070,297 @@ function App() {
       setStatusMessage(`Load error: ${error.message}`);
       console.error('Load error:', error);
     }
+  }, [loadShapeText]);
+
+  const loadModelFile = useCallback(async (file) => {
+    try {
+      const source = readModelFile(file.name, new Uint8Array(await file.arrayBuffer()));
+      setModelImport({ fileName: file.name, source, initialGridSize: getDefaultImportGridSize(source, gridSize) });
+      setStatusMessage(`Read ${file.name} - ${source.description}`);
+    } catch (error) {
+      alert(`Cannot import ${file.name}:\n${error.message}`);
+      setStatusMessage(`Import failed for ${file.name}`);
+      console.error('Model import error:', error);
+    }
   }, [gridSize]);
 
+  const handleImportModel = useCallback(() => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = MODEL_IMPORT_ACCEPT;
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (file) loadModelFile(file);
+    };
+    input.click();
+  }, [loadModelFile]);
+
+  const handleConfirmModelImport = useCallback((result) => {
+    const { fileName } = modelImport;
+    setModelImport(null);
+    openImportedShape(fileName, {
+      voxelData: result.voxelData,
+      gridSize: result.gridSize,
+      metadata: DEFAULT_METADATA
+    });
+    setStatusMessage(result.floatingComponents.length > 0
+      ? `Imported ${fileName} with ${result.floatingComponents.length} floating fragments - delete or bridge them from the toolbar`
+      : `Imported ${fileName} (${result.gridSize}³) into a new tab`);
+  }, [modelImport, openImportedShape]);
+
+  // dragenter/dragleave also fire for every child element, so count the depth
+  // to know when the pointer has really left the viewport.
+  const isFileDrag = (event) => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+  const handleDragEnter = useCallback((event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepthRef.current++;
+    setIsDraggingFiles(true);
+  }, []);
+
+  const handleDragOver = useCallback((event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }, []);
+
+  const handleDragLeave = useCallback((event) => {
+    if (!isFileDrag(event)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false);
+  }, []);
+
+  const handleDrop = useCallback(async (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    
+    const files = [...event.dataTransfer.files];
+    if (files.length === 0) return;
+    
+    // A single JSON opens like Load, a single model file opens the import
+    // preview; several files or a zip go through batch import.
+    if (files.length === 1 && /\.json$/i.test(files[0].name)) {
+      let text;
+      try {
+        text = await files[0].text();
+      } catch (error) {
+        setStatusMessage(`Could not read ${files[0].name}: ${error.message}`);
+        console.error('Drop read error:', error);
+        return;
+      }
+      loadShapeText(files[0].name, text);
+    } else if (files.length === 1 && isModelFileName(files[0].name)) {
+      loadModelFile(files[0]);
+    } else if (files.some(file => /\.(json|zip)$/i.test(file.name))) {
+      checkBatchFiles(files);
+    } else {
+      setStatusMessage('Drop Chiselcore .json files, a .zip level pack or a .vox/.obj/.stl model');
+    }
+  }, [loadShapeText, loadModelFile, checkBatchFiles]);
+
+  const handleLoadRuleset = useCallback(() => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const result = parseRuleset(JSON.parse(event.target.result));
+          if (!result.ruleset) {
+            alert(`Invalid ruleset:\n${result.errors.join('\n')}`);
+            setStatusMessage('Ruleset load failed - invalid format');
+            return;
+          }
+          
+          setRuleset(result.ruleset);
+          setFocusedRuleId(null);
+          setStatusMessage(`Loaded ruleset "${result.ruleset.name}" with ${result.ruleset.rules.length} rules from ${file.name}`);
+        } catch (error) {
+          setStatusMessage(`Ruleset load error: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  }, []);
+
+  const handleResetRuleset = useCallback(() => {
+    setRuleset(DEFAULT_RULESET);
+    setFocusedRuleId(null);
+    setStatusMessage('Using the default validation rules');
+  }, []);
+
+  // The timers below read the latest shape through a ref so they never have to
+  // be torn down and restarted on every edit.
+  const autoSaveRef = useRef({ snapshotsByTab: {}, isDirty: false, isFirstRun: true });
+  const latestShapeRef = useRef(null);
+  latestShapeRef.current = { tabId: activeTabId, voxelData, gridSize, metadata: shapeMetadata, fileName };
+
+  const writeAutoSave = useCallback(() => {
+    const autoSave = autoSaveRef.current;
+    if (!autoSave.isDirty) return;
+    
+    try {
+      const shape = latestShapeRef.current;
+      const snapshot = createSnapshot({ ...shape, thumbnail: renderShapeThumbnail(shape.voxelData, shape.gridSize, 64) });
+      const current = autoSave.snapshotsByTab[shape.tabId];
+      
+      // Each tab keeps updating its own snapshot until the interval has passed.
+      if (current && Date.now() - current.createdAt < SNAPSHOT_INTERVAL_MS) {
+        snapshot.id = current.id;
+        snapshot.createdAt = current.createdAt;
+      } else {
+        autoSave.snapshotsByTab[shape.tabId] = { id: snapshot.id, createdAt: snapshot.createdAt };
+      }
+      
+      saveSnapshot(snapshot);
+      autoSave.isDirty = false;
+    } catch (error) {
+      console.error('Auto-save error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const autoSave = autoSaveRef.current;
+    if (autoSave.isFirstRun) {
+      autoSave.isFirstRun = false;
+      return undefined;
+    }
+    
+    autoSave.isDirty = true;
+    const timer = setTimeout(writeAutoSave, AUTO_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [voxelData, gridSize, shapeMetadata, fileName, writeAutoSave]);
+
+  useEffect(() => {
+    const interval = setInterval(writeAutoSave, AUTO_SAVE_PERIOD_MS);
+    window.addEventListener('beforeunload', writeAutoSave);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('beforeunload', writeAutoSave);
+    };
+  }, [writeAutoSave]);
+
+  const handleRestoreSnapshot = useCallback((snapshot) => {
+    try {
+      const restored = restoreSnapshot(snapshot);
+      applyEdit(`Restore ${restored.fileName} (auto-save)`, {
+        gridSize: restored.gridSize,
+        voxelData: restored.voxelData,
+        metadata: restored.metadata
+      });
+      setFileName(restored.fileName);
+      setStatusMessage(`Restored ${restored.fileName} from the auto-save of ${new Date(snapshot.updatedAt).toLocaleString()}`);
+    } catch (error) {
+      setStatusMessage(`Restore error: ${error.message}`);
+    }
+    setRecoverySnapshots([]);
+  }, [applyEdit]);
+
+  const handleDiscardSnapshots = useCallback(() => {
+    clearSnapshots();
+    setRecoverySnapshots([]);
+    setStatusMessage('Discarded all auto-save snapshots');
+  }, []);
+
+  const handleDeleteSnapshot = useCallback((snapshot) => {
+    deleteSnapshot(snapshot.id);
+    setRecoverySnapshots(snapshots => snapshots.filter(existing => existing.id !== snapshot.id));
+    setStatusMessage(`Deleted the auto-save of ${snapshot.fileName} from ${new Date(snapshot.updatedAt).toLocaleString()}`);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (playTest) return;
+      const target = event.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA')) {
+        return;
+      }
+      
+      const isModifierPressed = event.ctrlKey || event.metaKey;
+      const key = event.key.toLowerCase();
+      // Single-key transforms change the whole shape, so a stray keypress in a
+      // dialog or panel must not reach them.
+      const isViewportFocused = !!viewportRef.current && viewportRef.current.contains(document.activeElement);
+      
+      if (isModifierPressed && key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          handleRedo();
+        } else {
+          handleUndo();
+        }
+      } else if (isModifierPressed && key === 'y') {
+        event.preventDefault();
+        handleRedo();
+      } else if (isModifierPressed && key === 'c') {
+        event.preventDefault();
+        handleCopy();
+      } else if (isModifierPressed && key === 'x') {
+        event.preventDefault();
+        handleCut();
+      } else if (isModifierPressed && key === 'v') {
+        event.preventDefault();
+        handlePaste();
+      } else if (isModifierPressed && key === 'a') {
+        event.preventDefault();
+        handleSelectAll();
+      } else if (isModifierPressed && key === 's') {
+        event.preventDefault();
+        handleSaveToLibrary();
+      } else if (key === 'delete' || key === 'backspace') {
+        if (selection) {
+          event.preventDefault();
+          handleDeleteSelection();
+        }
+      } else if (isViewportFocused && !isModifierPressed && ['KeyX', 'KeyY', 'KeyZ'].includes(event.code)) {
+        event.preventDefault();
+        const axis = event.code.slice(3).toLowerCase();
+        if (event.altKey) {
+          handleTransform(`mirror:${axis}`);
+        } else {
+          handleTransform(`rotate:${axis}:${event.shiftKey ? '-' : '+'}`);
+        }
+      } else if (isViewportFocused && !isModifierPressed && SHIFT_KEYS[event.key]) {
+        event.preventDefault();
+        handleTransform(`shift:${SHIFT_KEYS[event.key]}${event.shiftKey ? ':wrap' : ''}`);
+      } else if (isViewportFocused && !isModifierPressed && event.code === 'KeyC') {
+        handleTransform('center');
+      } else if (key === 'escape') {
+        if (isPasting) {
+          setIsPasting(false);
+          setStatusMessage('Paste cancelled');
+        } else if (selection) {
+          handleDeselect();
+        }
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo, handleCopy, handleCut, handlePaste, handleSelectAll, handleDeleteSelection,
+      handleDeselect, handleTransform, handleSaveToLibrary, selection, isPasting, playTest]);
+
+  const contextMenuItems = [
+    { label: 'Cut', shortcut: 'Ctrl+X', onClick: handleCut, disabled: !selection },
+    { label: 'Copy', shortcut: 'Ctrl+C', onClick: handleCopy, disabled: !selection },
+    { label: 'Paste', shortcut: 'Ctrl+V', onClick: handlePaste, disabled: !clipboard },
+    { label: 'Delete', shortcut: 'Del', onClick: handleDeleteSelection, disabled: !selection },
+    'separator',
+    { label: 'Select All', shortcut: 'Ctrl+A', onClick: handleSelectAll },
+    { label: 'Deselect', shortcut: 'Esc', onClick: handleDeselect, disabled: !selection },
+    'separator',
+    { label: 'Undo', shortcut: 'Ctrl+Z', onClick: handleUndo, disabled: !canUndo(history) },
+    { label: 'Redo', shortcut: 'Ctrl+Shift+Z', onClick: handleRedo, disabled: !canRedo(history) }
+  ];
+
   return (
     <div style={{ 
       height: '100vh', 
@@ -175,25 +1374,336 @@ function App() {
         onClearGrid={handleClearGrid}
         voxelCount={voxelCount}
         gridSize={gridSize}
+        onGridSizeChange={handleGridSizeChange}
         shapeMetadata={shapeMetadata}
         onMetadataChange={handleMetadataChange}
         voxelMode={voxelMode}
         onModeToggle={handleModeToggle}
-        onSaveShape={handleSaveShape}
+        onSaveShape={handleSaveToLibrary}
+        onExportShape={handleExportShape}
+        onExportModel={() => setIsModelExportOpen(true)}
+        exportEncoding={exportEncoding}
+        onExportEncodingChange={setExportEncoding}
+        isDirty={isDirty}
         onLoadShape={handleLoadShape}
+        onImportModel={handleImportModel}
+        isSliceEditorOpen={isSliceEditorOpen}
+        onSliceEditorToggle={setIsSliceEditorOpen}
+        isBlueprintOpen={isBlueprintOpen}
+        onBlueprintToggle={setIsBlueprintOpen}
+        onOpenSilhouettes={() => setIsSilhouetteEditorOpen(true)}
+        isPlayTesting={!!playTest}
+        onPlayTestToggle={playTest ? handleStopPlayTest : handleStartPlayTest}
+        convertOnLoad={convertOnLoad}
+        onConvertOnLoadChange={setConvertOnLoad}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        canUndo={canUndo(history)}
+        canRedo={canRedo(history)}
+        activeTool={activeTool}
+        onToolChange={handleToolChange}
+        hasSelection={!!selection}
+        hasClipboard={!!clipboard}
+        onCopy={handleCopy}
+        onCut={handleCut}
+        onPaste={handlePaste}
+        symmetry={symmetry}
+        onSymmetryChange={handleSymmetryChange}
+        onTransform={handleTransform}
+        wrapShifts={wrapShifts}
+        onWrapShiftsChange={setWrapShifts}
+        brushOptions={brushOptions}
+        onBrushOptionsChange={setBrushOptions}
+        solvability={solvability}
+        isAnalyzing={isAnalyzing}
+        maxMovesCheck={maxMovesCheck}
+        difficultyEstimate={difficultyEstimate}
+        validation={validation}
+        floatingPartCount={floatingComponents.length}
+        onDeleteFloating={handleDeleteFloating}
+        onBridgeFloating={handleBridgeFloating}
+        fileName={fileName}
+        onFileNameChange={setFileName}
       />
 
       <div style={{ 
         flex: 1,
-        background: '#008080'
+        display: 'flex',
+        minHeight: 0
       }}>
-        <SimpleVoxelViewport
+        <div style={{
+          width: '180px',
+          display: 'flex',
+          flexDirection: 'column',
+          borderRight: '1px solid #808080',
+          background: '#c0c0c0',
+          padding: '4px'
+        }}>
+          <LibraryPanel
+            library={library}
+            openTabIds={tabs.map(tab => tab.id)}
+            onOpen={handleOpenLibraryEntry}
+            onDuplicate={handleDuplicateLibraryEntry}
+            onRename={handleRenameLibraryEntry}
+            onDelete={handleDeleteLibraryEntry}
+            onExport={handleExportLibraryEntry}
+            onImportPack={handleBatchImport}
+            onExportPack={handleOpenBatchExport}
+            onMigrateFolder={handleMigrateFolder}
+          />
+        </div>
+
+        <div style={{
+          flex: 1,
+          display: 'flex',
+          flexDirection: 'column',
+          minWidth: 0
+        }}>
+          <TabBar
+            tabs={tabs.map(tab => tab.id === activeTabId
+              ? { id: tab.id, name: fileName, isDirty }
+              : { id: tab.id, name: tab.stash.fileName, isDirty: isTabStateDirty(tab.stash) })}
+            activeTabId={activeTabId}
+            onSelect={handleSelectTab}
+            onClose={handleCloseTab}
+            onNew={handleNewTab}
+          />
+          <div style={{ flex: 1, minHeight: 0, display: 'flex' }}>
+            <div
+              ref={viewportRef}
+              tabIndex={0}
+              onPointerDown={() => viewportRef.current.focus()}
+              style={{ 
+                flex: 1,
+                minWidth: 0,
+                position: 'relative',
+                background: '#008080',
+                outline: 'none'
+              }}
+              onDragEnter={handleDragEnter}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+            >
+              {playTest ? (
+                <SimpleVoxelViewport
+                  gridSize={playTest.gridSize}
+                  voxelData={playTest.block}
+                  onVoxelAction={handleChisel}
+                  voxelMode="remove"
+                  highlightedVoxels={getMistakePositions(playTest)}
+                  activeTool="voxel"
+                  symmetry={NO_SYMMETRY}
+                  brushOptions={brushOptions}
+                />
+              ) : (
+                <SimpleVoxelViewport
+                  gridSize={pendingConversion ? pendingConversion.fromGridSize : gridSize}
+                  voxelData={pendingConversion ? pendingConversion.voxelData : voxelData}
+                  onVoxelAction={pendingConversion ? null : handleVoxelAction}
+                  voxelMode={voxelMode}
+                  highlightedVoxels={pendingConversion ? pendingConversion.lostVoxels : warningVoxels || (focusedRule && focusedRule.positions)}
+                  floatingComponents={pendingConversion ? null : floatingComponents}
+                  activeTool={activeTool}
+                  selection={pendingConversion ? null : selection}
+                  onSelectionChange={setSelection}
+                  pasteClipboard={isPasting && !pendingConversion ? clipboard : null}
+                  onPasteCommit={handlePasteCommit}
+                  onMoveSelection={handleMoveSelection}
+                  onContextMenu={handleContextMenu}
+                  symmetry={symmetry}
+                  brushOptions={brushOptions}
+                  onBrushCommit={handleBrushCommit}
+                  slice={isSliceEditorOpen && !pendingConversion ? slice : null}
+                  layerView={layerView}
+                />
+              )}
+              {isDraggingFiles && (
+                <div style={{
+                  position: 'absolute',
+                  inset: '8px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  border: '3px dashed #ffffff',
+                  background: 'rgba(0, 0, 128, 0.45)',
+                  color: '#ffffff',
+                  fontSize: '16px',
+                  fontWeight: 'bold',
+                  pointerEvents: 'none'
+                }}>
+                  Drop a Chiselcore .json or a .vox/.obj/.stl model to open it, or several files / a .zip to batch import
+                </div>
+              )}
+            </div>
+            {isSliceEditorOpen && !pendingConversion && (
+              <div style={{
+                width: '300px',
+                borderLeft: '1px solid #808080',
+                background: '#c0c0c0',
+                padding: '4px',
+                overflowY: 'auto'
+              }}>
+                <SliceEditor
+                  gridSize={gridSize}
+                  voxelData={voxelData}
+                  slice={slice}
+                  onSliceChange={setSliceView}
+                  layerView={layerView}
+                  onLayerViewChange={setLayerView}
+                  onPaintCells={handleSliceCells}
+                />
+              </div>
+            )}
+          </div>
+          {isBlueprintOpen && (
+            <div style={{ borderTop: '1px solid #808080', background: '#c0c0c0', padding: '4px' }}>
+              <BlueprintPanel
+                voxelData={voxelData}
+                gridSize={gridSize}
+                fileName={fileName.trim() || DEFAULT_FILE_NAME}
+              />
+            </div>
+          )}
+        </div>
+
+        <div style={{
+          width: '200px',
+          display: 'flex',
+          flexDirection: 'column',
+          borderLeft: '1px solid #808080',
+          background: '#c0c0c0',
+          padding: '4px',
+          gap: '4px'
+        }}>
+          {playTest && (
+            <PlayTestPanel
+              session={playTest}
+              onRestart={handleStartPlayTest}
+              onExportLog={handleExportMoveLog}
+              onStop={handleStopPlayTest}
+            />
+          )}
+          {formatNotices[activeTabId] && (
+            <FormatNoticePanel
+              fileName={formatNotices[activeTabId].fileName}
+              notes={formatNotices[activeTabId].notes}
+              onDismiss={dismissFormatNotice}
+            />
+          )}
+          <HistoryPanel
+            history={history}
+            onJump={handleHistoryJump}
+          />
+          <ValidationPanel
+            validation={validation}
+            rulesetName={ruleset.name}
+            focusedRuleId={focusedRule ? focusedRule.id : null}
+            onFocusRule={setFocusedRuleId}
+            onLoadRuleset={handleLoadRuleset}
+            onResetRuleset={handleResetRuleset}
+          />
+        </div>
+      </div>
+
+      <div className="status-bar">
+        <span>{statusMessage}</span>
+        <span>
+          {playTest ? 'Play test' : activeTool === 'select' ? 'Select' : `${voxelMode === 'add' ? 'Add' : 'Remove'} (${activeTool})`} | Grid {gridSize}³
+        </span>
+      </div>
+
+      {contextMenu && (
+        <ContextMenu
+          x={contextMenu.x}
+          y={contextMenu.y}
+          items={contextMenuItems}
+          onClose={() => setContextMenu(null)}
+        />
+      )}
+
+      {recoverySnapshots.length > 0 && (
+        <RecoveryDialog
+          snapshots={recoverySnapshots}
+          onRestore={handleRestoreSnapshot}
+          onDelete={handleDeleteSnapshot}
+          onDiscard={handleDiscardSnapshots}
+          onClose={() => setRecoverySnapshots([])}
+        />
+      )}
+
+      {modelImport && (
+        <ModelImportDialog
+          fileName={modelImport.fileName}
+          source={modelImport.source}
+          initialGridSize={modelImport.initialGridSize}
+          ruleset={ruleset}
+          onImport={handleConfirmModelImport}
+          onClose={() => setModelImport(null)}
+        />
+      )}
+
+      {isModelExportOpen && (
+        <ModelExportDialog
+          fileName={fileName.trim() || DEFAULT_FILE_NAME}
+          voxelData={voxelData}
           gridSize={gridSize}
+          onExport={handleExportModel}
+          onClose={() => setIsModelExportOpen(false)}
+        />
+      )}
+
+      {isSilhouetteEditorOpen && (
+        <SilhouetteEditor
           voxelData={voxelData}
-          onVoxelAction={handleVoxelAction}
-          voxelMode={voxelMode}
+          gridSize={gridSize}
+          onApply={handleApplySilhouettes}
+          onClose={() => setIsSilhouetteEditorOpen(false)}
         />
-      </div>
+      )}
+
+      {migration && (
+        <MigrationDialog
+          folderName={migration.folderName}
+          results={migration.results}
+          canWrite={migration.canWrite}
+          onApply={handleApplyMigration}
+          onClose={() => setMigration(null)}
+        />
+      )}
+
+      {diagnostics && (
+        <DiagnosticsDialog
+          fileName={diagnostics.fileName}
+          diagnosis={diagnostics.diagnosis}
+          onRepair={handleRepairAndLoad}
+          onClose={() => setDiagnostics(null)}
+        />
+      )}
+
+      {batchImportResults && (
+        <BatchImportDialog
+          results={batchImportResults}
+          onImport={handleConfirmBatchImport}
+          onClose={() => setBatchImportResults(null)}
+        />
+      )}
+
+      {batchExportEntries && (
+        <BatchExportDialog
+          entries={batchExportEntries}
+          onExport={handleConfirmBatchExport}
+          onClose={() => setBatchExportEntries(null)}
+        />
+      )}
+
+      {pendingConversion && (
+        <ConversionPreviewDialog
+          conversion={pendingConversion}
+          onConfirm={handleConfirmConversion}
+          onCancel={handleCancelConversion}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,75 @@
+import { voxelDataToBinaryString, binaryStringToVoxelData, detectGridSize } from './ShapeSerializer';
+
+// Recovery snapshots of the working shape, kept in localStorage so they survive a
+// closed tab or a crashed browser. Newest first.
+const STORAGE_KEY = 'chiselcore.autosave';
+export const MAX_SNAPSHOTS = 10;
+
+// Edits within this window keep updating the same snapshot; after it a new one
+// is started, so the list ends up as a timeline rather than ten copies of the
+// last few clicks.
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+export function loadSnapshots() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Could not read auto-save snapshots:', error);
+    return [];
+  }
+}
+
+function storeSnapshots(snapshots) {
+  // Thumbnails make snapshots fairly large; drop the oldest until they fit.
+  for (let count = snapshots.length; count > 0; count--) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots.slice(0, count)));
+      if (count < snapshots.length) {
+        console.warn(`Auto-save storage is full, dropped the ${snapshots.length - count} oldest snapshots`);
+      }
+      return snapshots.slice(0, count);
+    } catch (error) {
+      // Quota exceeded; try again with one snapshot fewer.
+    }
+  }
+  console.warn('Auto-save storage is full, no snapshots could be kept');
+  return [];
+}
+
+export function createSnapshot({ voxelData, gridSize, metadata, fileName, thumbnail }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    fileName,
+    gridSize,
+    voxelDataString: voxelDataToBinaryString(voxelData),
+    voxelCount: voxelData.filter(voxel => voxel).length,
+    metadata: { ...metadata },
+    thumbnail
+  };
+}
+
+// Writes `snapshot`, replacing the stored one with the same id if there is one.
+export function saveSnapshot(snapshot) {
+  const others = loadSnapshots().filter(existing => existing.id !== snapshot.id);
+  return storeSnapshots([snapshot, ...others].slice(0, MAX_SNAPSHOTS));
+}
+
+export function deleteSnapshot(id) {
+  return storeSnapshots(loadSnapshots().filter(snapshot => snapshot.id !== id));
+}
+
+export function clearSnapshots() {
+  window.localStorage.removeItem(STORAGE_KEY);
+}
+
+export function restoreSnapshot(snapshot) {
+  return {
+    voxelData: binaryStringToVoxelData(snapshot.voxelDataString),
+    gridSize: detectGridSize(snapshot.voxelDataString),
+    metadata: { connectivity: 'face', ...snapshot.metadata },
+    fileName: snapshot.fileName
+  };
+}
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import Dialog from './Dialog';
+
+// Picks library shapes for a level pack. Shapes that fail an error rule cannot
+// be exported, the same as a single export.
+function BatchExportDialog({ entries, onExport, onClose }) {
+  const [packName, setPackName] = useState('level-pack');
+  const [checked, setChecked] = useState(() => new Set(
+    entries.filter(entry => entry.validation.isValid).map(entry => entry.id)
+  ));
+
+  const toggle = (id) => {
+    setChecked(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const exportable = entries.filter(entry => entry.validation.isValid);
+  const selected = exportable.filter(entry => checked.has(entry.id));
+
+  return (
+    <Dialog
+      title="Export level pack"
+      onClose={onClose}
+      width="480px"
+      buttons={[
+        {
+          label: `Export ${selected.length} shapes`,
+          onClick: () => onExport(packName.trim() || 'level-pack', selected),
+          isDefault: true,
+          disabled: selected.length === 0
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <div className="field-row" style={{ marginBottom: '6px' }}>
+        <label htmlFor="pack-name">Pack name:</label>
+        <input id="pack-name" type="text" value={packName} onChange={(e) => setPackName(e.target.value)} />
+        <span>.zip</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '4px' }}>
+        <button onClick={() => setChecked(new Set(exportable.map(entry => entry.id)))}>Select all</button>
+        <button onClick={() => setChecked(new Set())}>Select none</button>
+      </div>
+
+      <div className="sunken-panel" style={{ maxHeight: '300px', overflowY: 'auto', background: '#ffffff', padding: '2px 4px' }}>
+        {entries.length === 0 && (
+          <div style={{ color: '#808080' }}>The library is empty - save some shapes first.</div>
+        )}
+        {entries.map(entry => (
+          <div key={entry.id} className="field-row" title={entry.validation.errors.join('\n')}>
+            <input
+              type="checkbox"
+              id={`export-${entry.id}`}
+              checked={checked.has(entry.id)}
+              disabled={!entry.validation.isValid}
+              onChange={() => toggle(entry.id)}
+            />
+            <label htmlFor={`export-${entry.id}`} style={{ color: entry.validation.isValid ? '#000000' : '#800000' }}>
+              {entry.name} ({entry.gridSize}³, D{entry.metadata.difficulty}, {entry.metadata.maxMoves} moves)
+              {!entry.validation.isValid && ' - ❌ fails validation'}
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <p style={{ margin: '6px 0 0 0', color: '#404040' }}>
+        The zip contains one Chiselcore JSON file per shape, written with the toolbar's export encoding,
+        and a manifest.json listing their names, grid sizes, difficulty and max moves.
+      </p>
+    </Dialog>
+  );
+}
+
+export default BatchExportDialog;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import Dialog from './Dialog';
+
+function getStatus(result) {
+  if (!result.shape) return { icon: '❌', text: 'Unreadable' };
+  if (!result.isValid) return { icon: '❌', text: 'Invalid shape' };
+  if (result.warnings.length > 0) return { icon: '⚠️', text: 'Warnings' };
+  return { icon: '✅', text: 'OK' };
+}
+
+// Lists the outcome for every file of a batch import. Readable shapes can be
+// ticked for import; ones that fail validation start unticked.
+function BatchImportDialog({ results, onImport, onClose }) {
+  const [checked, setChecked] = useState(() => new Set(
+    results.filter(result => result.isValid).map(result => result.id)
+  ));
+
+  const toggle = (id) => {
+    setChecked(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const validCount = results.filter(result => result.isValid).length;
+  const selectedResults = results.filter(result => result.shape && checked.has(result.id));
+
+  return (
+    <Dialog
+      title={`Batch import - ${results.length} files`}
+      onClose={onClose}
+      width="560px"
+      buttons={[
+        {
+          label: `Import ${selectedResults.length}`,
+          onClick: () => onImport(selectedResults),
+          isDefault: true,
+          disabled: selectedResults.length === 0
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>
+        {validCount} of {results.length} files passed validation. Ticked shapes are added to the library.
+      </p>
+
+      <div className="sunken-panel" style={{ maxHeight: '340px', overflowY: 'auto', background: '#ffffff' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th></th>
+              <th>File</th>
+              <th>Grid</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => {
+              const status = getStatus(result);
+              const messages = result.errors.concat(result.warnings);
+              return (
+                <tr key={result.id} style={{ verticalAlign: 'top' }}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      id={`batch-${result.id}`}
+                      checked={checked.has(result.id)}
+                      disabled={!result.shape}
+                      onChange={() => toggle(result.id)}
+                    />
+                    <label htmlFor={`batch-${result.id}`}></label>
+                  </td>
+                  <td>
+                    <div>{result.fileName}</div>
+                    {result.source && <div style={{ color: '#808080' }}>from {result.source}</div>}
+                    {messages.length > 0 && (
+                      <ul style={{ margin: '2px 0 4px 0', paddingLeft: '16px', color: result.isValid ? '#806000' : '#800000' }}>
+                        {messages.map((message, index) => <li key={index}>{message}</li>)}
+                      </ul>
+                    )}
+                  </td>
+                  <td>{result.shape ? `${result.shape.gridSize}³` : '-'}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>{status.icon} {status.text}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Dialog>
+  );
+}
+
+export default BatchImportDialog;
@@ -0,0 +1,58 @@
+import React, { useMemo } from 'react';
+import { projectAllViews, projectionToSVG, projectionToSVGDataUrl, renderProjectionPNG } from './BlueprintProjection';
+import { downloadBlob, downloadDataUrl } from './Workspace';
+
+const PREVIEW_SIZE = 96;
+const EXPORT_CELL_SIZE = 32;
+
+// The six blueprint silhouettes of the working shape, redrawn on every edit.
+function BlueprintPanel({ voxelData, gridSize, fileName }) {
+  const projections = useMemo(() => projectAllViews(voxelData, gridSize), [voxelData, gridSize]);
+  const previewCellSize = Math.max(1, Math.floor(PREVIEW_SIZE / gridSize));
+
+  const exportSVG = (projection) => {
+    downloadBlob(`${fileName}-${projection.id}.svg`, projectionToSVG(projection, EXPORT_CELL_SIZE), 'image/svg+xml');
+  };
+
+  const exportPNG = (projection) => {
+    downloadDataUrl(`${fileName}-${projection.id}.png`, renderProjectionPNG(projection, EXPORT_CELL_SIZE));
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column' }}>
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        Blueprint
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', padding: '4px 0', overflowX: 'auto' }}>
+        {projections.map(projection => (
+          <div key={projection.id} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2px' }}>
+            <span>{projection.label}</span>
+            <img
+              src={projectionToSVGDataUrl(projection, previewCellSize)}
+              alt={`${projection.label} silhouette`}
+              width={gridSize * previewCellSize}
+              height={gridSize * previewCellSize}
+              style={{ border: '1px solid #808080', imageRendering: 'pixelated' }}
+            />
+            <div style={{ display: 'flex', gap: '2px' }}>
+              <button onClick={() => exportPNG(projection)} style={{ minWidth: 0, padding: '0 4px' }} title={`Download the ${projection.label.toLowerCase()} view as PNG`}>
+                PNG
+              </button>
+              <button onClick={() => exportSVG(projection)} style={{ minWidth: 0, padding: '0 4px' }} title={`Download the ${projection.label.toLowerCase()} view as SVG`}>
+                SVG
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BlueprintPanel;
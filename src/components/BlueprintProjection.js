@@ -0,0 +1,111 @@
+// Orthographic silhouettes of a shape along the six axis directions, the way
+// the game shows the target as a blueprint. A projection records, for each
+// cell of the view, how far the first voxel is from the viewer (or -1).
+
+const BLUEPRINT_BACKGROUND = '#163a6e';
+const BLUEPRINT_LINE = '#2e5a94';
+const NEAR_COLOR = [255, 255, 255];
+const FAR_COLOR = [96, 144, 208];
+
+// Each view maps (column, row, depth) to grid coordinates. Column runs left to
+// right and row top to bottom as seen by a viewer looking along the axis, so
+// the silhouettes read like the game's blueprint and are never mirrored.
+export const BLUEPRINT_VIEWS = [
+  { id: 'front', label: 'Front', toCell: (c, r, d, n) => ({ x: c, y: n - 1 - r, z: n - 1 - d }) },
+  { id: 'back', label: 'Back', toCell: (c, r, d, n) => ({ x: n - 1 - c, y: n - 1 - r, z: d }) },
+  { id: 'left', label: 'Left', toCell: (c, r, d, n) => ({ x: d, y: n - 1 - r, z: c }) },
+  { id: 'right', label: 'Right', toCell: (c, r, d, n) => ({ x: n - 1 - d, y: n - 1 - r, z: n - 1 - c }) },
+  { id: 'top', label: 'Top', toCell: (c, r, d, n) => ({ x: c, y: n - 1 - d, z: r }) },
+  { id: 'bottom', label: 'Bottom', toCell: (c, r, d, n) => ({ x: c, y: d, z: n - 1 - r }) }
+];
+
+export function projectShape(voxelData, gridSize, view) {
+  const depths = new Array(gridSize * gridSize).fill(-1);
+
+  for (let row = 0; row < gridSize; row++) {
+    for (let column = 0; column < gridSize; column++) {
+      for (let depth = 0; depth < gridSize; depth++) {
+        const { x, y, z } = view.toCell(column, row, depth, gridSize);
+        if (voxelData[x + y * gridSize + z * gridSize * gridSize]) {
+          depths[column + row * gridSize] = depth;
+          break;
+        }
+      }
+    }
+  }
+
+  return { id: view.id, label: view.label, gridSize, depths };
+}
+
+export function projectAllViews(voxelData, gridSize) {
+  return BLUEPRINT_VIEWS.map(view => projectShape(voxelData, gridSize, view));
+}
+
+// Nearer voxels are lighter, so steps in the silhouette stay readable.
+function getDepthColor(depth, gridSize) {
+  const t = gridSize > 1 ? depth / (gridSize - 1) : 0;
+  const channels = NEAR_COLOR.map((near, i) => Math.round(near + (FAR_COLOR[i] - near) * t));
+  return `rgb(${channels.join(', ')})`;
+}
+
+export function projectionToSVG(projection, cellSize = 16) {
+  const { gridSize, depths } = projection;
+  const size = gridSize * cellSize;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+    `<title>${projection.label}</title>`,
+    `<rect width="${size}" height="${size}" fill="${BLUEPRINT_BACKGROUND}"/>`
+  ];
+
+  depths.forEach((depth, index) => {
+    if (depth < 0) return;
+    const x = (index % gridSize) * cellSize;
+    const y = Math.floor(index / gridSize) * cellSize;
+    parts.push(`<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" fill="${getDepthColor(depth, gridSize)}"/>`);
+  });
+
+  for (let i = 1; i < gridSize; i++) {
+    const offset = i * cellSize;
+    parts.push(`<line x1="${offset}" y1="0" x2="${offset}" y2="${size}" stroke="${BLUEPRINT_LINE}" stroke-width="1"/>`);
+    parts.push(`<line x1="0" y1="${offset}" x2="${size}" y2="${offset}" stroke="${BLUEPRINT_LINE}" stroke-width="1"/>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+export function projectionToSVGDataUrl(projection, cellSize) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(projectionToSVG(projection, cellSize))}`;
+}
+
+// Same picture as the SVG, drawn on a canvas for a PNG download.
+export function renderProjectionPNG(projection, cellSize = 16) {
+  const { gridSize, depths } = projection;
+  const size = gridSize * cellSize;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = BLUEPRINT_BACKGROUND;
+  context.fillRect(0, 0, size, size);
+  depths.forEach((depth, index) => {
+    if (depth < 0) return;
+    context.fillStyle = getDepthColor(depth, gridSize);
+    context.fillRect((index % gridSize) * cellSize, Math.floor(index / gridSize) * cellSize, cellSize, cellSize);
+  });
+
+  context.strokeStyle = BLUEPRINT_LINE;
+  context.lineWidth = 1;
+  context.beginPath();
+  for (let i = 1; i < gridSize; i++) {
+    const offset = i * cellSize + 0.5;
+    context.moveTo(offset, 0);
+    context.lineTo(offset, size);
+    context.moveTo(0, offset);
+    context.lineTo(size, offset);
+  }
+  context.stroke();
+
+  return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,129 @@
+import { isInsideGrid } from './VoxelRaycast';
+
+// Cell sets for the shape brushes. Every function returns plain { x, y, z }
+// positions already clipped to the grid.
+
+export const BRUSH_TOOLS = ['line', 'rectangle', 'box', 'sphere', 'cylinder'];
+export const TWO_POINT_BRUSHES = ['line', 'rectangle', 'box'];
+
+function clipToGrid(cells, gridSize) {
+  return cells.filter(({ x, y, z }) => isInsideGrid(x, y, z, gridSize));
+}
+
+// Steps along the dominant axis so consecutive cells always share a face, edge
+// or corner; paint strokes use this to fill the gaps between pointer samples.
+export function getLineCells(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const dz = end.z - start.z;
+  const steps = Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz));
+
+  if (steps === 0) return [{ ...start }];
+
+  const cells = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    cells.push({
+      x: Math.round(start.x + dx * t),
+      y: Math.round(start.y + dy * t),
+      z: Math.round(start.z + dz * t)
+    });
+  }
+  return cells;
+}
+
+// Paint stroke samples are { target, normal }. Two of them lie on the same face
+// plane when they were hit through the same face direction at the same depth
+// along it; neighbouring samples always qualify since joining them adds nothing.
+export function isOnSameFacePlane(a, b) {
+  const isNeighbor = ['x', 'y', 'z'].every(axis => Math.abs(a.target[axis] - b.target[axis]) <= 1);
+  if (isNeighbor) return true;
+  if (!a.normal || !b.normal) return false;
+
+  const axis = ['x', 'y', 'z'].find(key => a.normal[key] !== 0);
+  return !!axis && a.normal[axis] === b.normal[axis] && a.target[axis] === b.target[axis];
+}
+
+// A filled rectangle lying in the plane through `start` perpendicular to `axis`;
+// `end` is projected onto that plane.
+export function getRectangleCells(start, end, axis) {
+  const projectedEnd = { ...end, [axis]: start[axis] };
+  return getBoxCells(start, projectedEnd, false);
+}
+
+export function getBoxCells(start, end, hollow) {
+  const min = { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), z: Math.min(start.z, end.z) };
+  const max = { x: Math.max(start.x, end.x), y: Math.max(start.y, end.y), z: Math.max(start.z, end.z) };
+  const cells = [];
+
+  for (let z = min.z; z <= max.z; z++) {
+    for (let y = min.y; y <= max.y; y++) {
+      for (let x = min.x; x <= max.x; x++) {
+        const onShell = x === min.x || x === max.x || y === min.y || y === max.y || z === min.z || z === max.z;
+        if (!hollow || onShell) {
+          cells.push({ x, y, z });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+export function getSphereCells(center, radius) {
+  const cells = [];
+  const limit = (radius + 0.5) * (radius + 0.5);
+
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy + dz * dz <= limit) {
+          cells.push({ x: center.x + dx, y: center.y + dy, z: center.z + dz });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+// Upright cylinder along Y, as tall as it is wide, centered on `center`.
+export function getCylinderCells(center, radius) {
+  const cells = [];
+  const limit = (radius + 0.5) * (radius + 0.5);
+
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dz * dz <= limit) {
+          cells.push({ x: center.x + dx, y: center.y + dy, z: center.z + dz });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+export function getBrushCells(tool, start, end, options, gridSize) {
+  let cells;
+
+  switch (tool) {
+    case 'line':
+      cells = getLineCells(start.position, end);
+      break;
+    case 'rectangle':
+      cells = getRectangleCells(start.position, end, start.axis);
+      break;
+    case 'box':
+      cells = getBoxCells(start.position, end, options.hollow);
+      break;
+    case 'sphere':
+      cells = getSphereCells(end, options.radius);
+      break;
+    case 'cylinder':
+      cells = getCylinderCells(end, options.radius);
+      break;
+    default:
+      cells = [];
+  }
+
+  return clipToGrid(cells, gridSize);
+}
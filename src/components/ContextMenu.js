@@ -0,0 +1,82 @@
+import React, { useEffect } from 'react';
+
+function ContextMenu({ x, y, items, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <>
+      <div
+        onMouseDown={onClose}
+        onContextMenu={(e) => {
+          e.preventDefault();
+          onClose();
+        }}
+        style={{ position: 'fixed', inset: 0, zIndex: 200 }}
+      />
+      <div style={{
+        position: 'fixed',
+        left: x,
+        top: y,
+        zIndex: 201,
+        minWidth: '160px',
+        background: '#c0c0c0',
+        border: '2px outset #c0c0c0',
+        boxShadow: '2px 2px 0 #000000',
+        padding: '2px'
+      }}>
+        {items.map((item, index) => {
+          if (item === 'separator') {
+            return (
+              <div key={`separator-${index}`} style={{
+                height: '1px',
+                background: '#808080',
+                borderBottom: '1px solid #ffffff',
+                margin: '3px 2px'
+              }} />
+            );
+          }
+
+          return (
+            <div
+              key={item.label}
+              onClick={() => {
+                if (item.disabled) return;
+                onClose();
+                item.onClick();
+              }}
+              onMouseEnter={(e) => {
+                if (!item.disabled) {
+                  e.currentTarget.style.background = '#000080';
+                  e.currentTarget.style.color = '#ffffff';
+                }
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.background = 'transparent';
+                e.currentTarget.style.color = item.disabled ? '#808080' : '#000000';
+              }}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '16px',
+                padding: '2px 16px',
+                cursor: 'default',
+                color: item.disabled ? '#808080' : '#000000'
+              }}
+            >
+              <span>{item.label}</span>
+              {item.shortcut && <span>{item.shortcut}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+export default ContextMenu;
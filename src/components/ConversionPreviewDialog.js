@@ -0,0 +1,61 @@
+import React from 'react';
+import Dialog from './Dialog';
+
+const MAX_LISTED_VOXELS = 50;
+
+function ConversionPreviewDialog({ conversion, onConfirm, onCancel }) {
+  const { title, fromGridSize, toGridSize, voxelCount, lostVoxels } = conversion;
+  const keptCount = voxelCount - lostVoxels.length;
+  const isEmptyResult = keptCount <= 0;
+
+  return (
+    <Dialog
+      title={title}
+      onClose={onCancel}
+      modal={false}
+      buttons={[
+        {
+          label: lostVoxels.length > 0 ? 'Crop & Convert' : 'Convert',
+          onClick: onConfirm,
+          isDefault: true,
+          disabled: isEmptyResult,
+          title: isEmptyResult ? 'Nothing would be left of the shape' : undefined
+        },
+        { label: 'Cancel', onClick: onCancel }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>
+        Converting {fromGridSize}³ → {toGridSize}³ keeps <b>{Math.max(keptCount, 0)}</b> of {voxelCount} voxels.
+      </p>
+
+      {lostVoxels.length === 0 ? (
+        <p style={{ margin: 0, color: '#008000' }}>
+          No voxels are lost - the shape is centered in the {toGridSize}³ grid.
+        </p>
+      ) : (
+        <>
+          <p style={{ margin: '0 0 6px 0', color: '#800000' }}>
+            ⚠️ {lostVoxels.length} voxels fall outside the centered {toGridSize}³ region and will be discarded
+            (shown in red in the viewport).
+          </p>
+          <div className="sunken-panel" style={{
+            maxHeight: '120px',
+            overflowY: 'auto',
+            background: '#ffffff',
+            padding: '2px 4px',
+            fontFamily: 'monospace'
+          }}>
+            {lostVoxels.slice(0, MAX_LISTED_VOXELS).map(({ x, y, z }) => (
+              <div key={`${x},${y},${z}`}>({x}, {y}, {z})</div>
+            ))}
+            {lostVoxels.length > MAX_LISTED_VOXELS && (
+              <div style={{ color: '#808080' }}>…and {lostVoxels.length - MAX_LISTED_VOXELS} more</div>
+            )}
+          </div>
+        </>
+      )}
+    </Dialog>
+  );
+}
+
+export default ConversionPreviewDialog;
@@ -0,0 +1,41 @@
+import React from 'react';
+import Dialog from './Dialog';
+
+function DiagnosticsDialog({ fileName, diagnosis, onRepair, onClose }) {
+  const { problems, canRepair } = diagnosis;
+
+  return (
+    <Dialog
+      title={`Problems in ${fileName}`}
+      onClose={onClose}
+      width="480px"
+      buttons={[
+        {
+          label: 'Repair & Load',
+          onClick: onRepair,
+          isDefault: true,
+          disabled: !canRepair,
+          title: canRepair ? 'Apply every repair listed below and open the result' : 'Some problems cannot be repaired automatically'
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>
+        This file cannot be loaded as it is. {problems.length === 1 ? 'One problem was' : `${problems.length} problems were`} found:
+      </p>
+
+      <div className="sunken-panel" style={{ maxHeight: '300px', overflowY: 'auto', background: '#ffffff', padding: '2px 4px' }}>
+        {problems.map((problem, index) => (
+          <div key={index} style={{ padding: '2px 0', borderBottom: index < problems.length - 1 ? '1px solid #dfdfdf' : 'none' }}>
+            <div style={{ color: '#800000' }}>❌ {problem.message}</div>
+            <div style={{ paddingLeft: '18px', color: problem.repair ? '#006000' : '#808080' }}>
+              {problem.repair ? `Repair: ${problem.repair.label}` : 'No automatic repair - fix the file by hand'}
+            </div>
+          </div>
+        ))}
+      </div>
+    </Dialog>
+  );
+}
+
+export default DiagnosticsDialog;
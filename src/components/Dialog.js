@@ -0,0 +1,96 @@
+import React from 'react';
+
+// Win98-style window shared by the editor's pop-ups. Non-modal dialogs float over
+// the top of the viewport so the 3D view stays visible and usable behind them.
+function Dialog({ title, onClose, children, buttons, modal = true, width = '360px' }) {
+  const windowStyle = {
+    width,
+    maxWidth: '90vw',
+    maxHeight: '80vh',
+    display: 'flex',
+    flexDirection: 'column',
+    background: '#c0c0c0',
+    border: '2px outset #c0c0c0',
+    boxShadow: '2px 2px 0 #000000'
+  };
+
+  const content = (
+    <div className="window" style={windowStyle}>
+      <div className="title-bar" style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        <div className="title-bar-text">{title}</div>
+        {onClose && (
+          <div className="title-bar-controls">
+            <button aria-label="Close" onClick={onClose}>×</button>
+          </div>
+        )}
+      </div>
+
+      <div className="window-body" style={{
+        padding: '8px',
+        overflowY: 'auto',
+        flex: 1
+      }}>
+        {children}
+      </div>
+
+      {buttons && buttons.length > 0 && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '6px',
+          padding: '0 8px 8px 8px'
+        }}>
+          {buttons.map(button => (
+            <button
+              key={button.label}
+              className={button.isDefault ? 'default' : undefined}
+              onClick={button.onClick}
+              disabled={button.disabled}
+              title={button.title}
+            >
+              {button.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  if (!modal) {
+    return (
+      <div style={{
+        position: 'fixed',
+        top: '48px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 100
+      }}>
+        {content}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.25)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 100
+    }}>
+      {content}
+    </div>
+  );
+}
+
+export default Dialog;
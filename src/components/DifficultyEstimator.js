@@ -0,0 +1,157 @@
+import { findHiddenCavities } from './ShapeValidator';
+import { mirrorShape, rotateShape } from './ShapeTransforms';
+import { createGridHelpers } from './SolvabilityChecker';
+
+// Scores a shape from 1 to 10 from features designers can measure. Each feature is
+// normalized to 0..1 and weighted; the weights add up to 1 so a shape maxing out
+// every feature lands on 10. The solver removes exactly the waste, so minimum
+// moves always equals the removed count; the removed row is still listed but carries
+// no weight of its own.
+const FEATURE_WEIGHTS = {
+  removed: 0,
+  moves: 0.25,
+  concavity: 0.25,
+  cavities: 0.05,
+  surface: 0.2,
+  asymmetry: 0.15,
+  overhang: 0.1
+};
+
+function countExposedFaces(voxelData, gridSize) {
+  const grid = createGridHelpers(gridSize);
+  let faces = 0;
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (!voxelData[grid.toIndex(x, y, z)]) continue;
+        [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].forEach(([dx, dy, dz]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          const nz = z + dz;
+          if (!grid.isInside(nx, ny, nz) || !voxelData[grid.toIndex(nx, ny, nz)]) faces++;
+        });
+      }
+    }
+  }
+  return faces;
+}
+
+// Empty cells with shape on both sides along at least one axis: notches, grooves
+// and tunnels that have to be carved "into" the block rather than off its corners.
+function countConcaveCells(voxelData, gridSize) {
+  const grid = createGridHelpers(gridSize);
+  let count = 0;
+  const isSolid = (x, y, z) => !!voxelData[grid.toIndex(x, y, z)];
+
+  const isBetweenSolids = (x, y, z, axis) => {
+    const cell = { x, y, z };
+    let before = false;
+    let after = false;
+    for (let i = 0; i < gridSize; i++) {
+      const position = { ...cell, [axis]: i };
+      if (!isSolid(position.x, position.y, position.z)) continue;
+      if (i < cell[axis]) before = true;
+      if (i > cell[axis]) after = true;
+    }
+    return before && after;
+  };
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (isSolid(x, y, z)) continue;
+        if (isBetweenSolids(x, y, z, 'x') || isBetweenSolids(x, y, z, 'y') || isBetweenSolids(x, y, z, 'z')) {
+          count++;
+        }
+      }
+    }
+  }
+  return count;
+}
+
+// Empty cells that have shape somewhere above them in their column, and the
+// deepest such run, measured along Y.
+function measureOverhangs(voxelData, gridSize) {
+  const grid = createGridHelpers(gridSize);
+  let overhangCells = 0;
+  let maxDepth = 0;
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let x = 0; x < gridSize; x++) {
+      let hasSolidAbove = false;
+      let run = 0;
+      for (let y = gridSize - 1; y >= 0; y--) {
+        if (voxelData[grid.toIndex(x, y, z)]) {
+          hasSolidAbove = true;
+          run = 0;
+        } else if (hasSolidAbove) {
+          overhangCells++;
+          run++;
+          maxDepth = Math.max(maxDepth, run);
+        }
+      }
+    }
+  }
+
+  return { overhangCells, maxDepth };
+}
+
+function sameVoxels(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (!!a[i] !== !!b[i]) return false;
+  }
+  return true;
+}
+
+export function countSymmetries(voxelData, gridSize) {
+  const symmetries = [];
+  ['x', 'y', 'z'].forEach(axis => {
+    if (sameVoxels(voxelData, mirrorShape(voxelData, gridSize, axis))) {
+      symmetries.push(`mirror ${axis.toUpperCase()}`);
+    }
+  });
+  if (sameVoxels(voxelData, rotateShape(voxelData, gridSize, 'y'))) {
+    symmetries.push('4-fold Y');
+  }
+  return symmetries;
+}
+
+export function estimateDifficulty(voxelData, gridSize, solvability) {
+  const totalCells = gridSize * gridSize * gridSize;
+  const voxelCount = voxelData.filter(voxel => voxel).length;
+  const removed = totalCells - voxelCount;
+
+  const concaveCells = countConcaveCells(voxelData, gridSize);
+  const cavities = findHiddenCavities(voxelData, gridSize).length;
+  const exposedFaces = countExposedFaces(voxelData, gridSize);
+  const symmetries = countSymmetries(voxelData, gridSize);
+  const overhangs = measureOverhangs(voxelData, gridSize);
+  const minMoves = solvability ? solvability.minMoves : removed;
+
+  const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+  // A full cube has 6n² exposed faces. Only the surface added on top of that
+  // counts, saturating once the shape has twice the cube's surface.
+  const features = [
+    { id: 'moves', label: 'Minimum moves', value: minMoves, normalized: clamp01(minMoves / totalCells) },
+    { id: 'removed', label: 'Voxels removed (counted in minimum moves)', value: `${removed}/${totalCells}`, normalized: clamp01(removed / totalCells) },
+    { id: 'concavity', label: 'Concave cells', value: concaveCells, normalized: clamp01(concaveCells / Math.max(1, removed)) },
+    { id: 'cavities', label: 'Hidden cavities', value: cavities, normalized: cavities > 0 ? 1 : 0 },
+    { id: 'surface', label: 'Surface area', value: `${exposedFaces} faces`, normalized: clamp01((exposedFaces - 6 * gridSize * gridSize) / (6 * gridSize * gridSize)) },
+    { id: 'asymmetry', label: 'Symmetry', value: symmetries.length > 0 ? symmetries.join(', ') : 'none', normalized: clamp01(1 - symmetries.length / 2) },
+    { id: 'overhang', label: 'Overhang depth', value: overhangs.maxDepth, normalized: clamp01(overhangs.maxDepth / Math.max(1, gridSize - 2)) }
+  ];
+
+  features.forEach(feature => {
+    feature.weight = FEATURE_WEIGHTS[feature.id];
+    feature.contribution = feature.normalized * feature.weight * 9;
+  });
+
+  const rawScore = 1 + features.reduce((sum, feature) => sum + feature.contribution, 0);
+
+  return {
+    difficulty: Math.max(1, Math.min(10, Math.round(rawScore))),
+    rawScore,
+    features: [...features].sort((a, b) => b.contribution - a.contribution)
+  };
+}
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+
+function DifficultySuggestion({ estimate, currentDifficulty, onApply }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const differs = estimate.difficulty !== currentDifficulty;
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        title="Show which shape features drive the suggested difficulty"
+        style={{ color: differs ? '#000080' : '#000000' }}
+      >
+        Suggested: {estimate.difficulty} {isOpen ? '▴' : '▾'}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          zIndex: 50,
+          width: '280px',
+          marginTop: '2px',
+          background: '#c0c0c0',
+          border: '2px outset #c0c0c0',
+          boxShadow: '2px 2px 0 #000000',
+          padding: '6px'
+        }}>
+          <div className="sunken-panel" style={{ background: '#ffffff', padding: '2px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left' }}>
+                  <th>Feature</th>
+                  <th>Value</th>
+                  <th style={{ textAlign: 'right' }}>Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {estimate.features.map(feature => (
+                  <tr key={feature.id} style={{ color: feature.contribution > 0.005 ? '#000000' : '#808080' }}>
+                    <td>{feature.label}</td>
+                    <td>{feature.value}</td>
+                    <td style={{ textAlign: 'right' }}>+{feature.contribution.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px' }}>
+            <span>Base 1 + features = {estimate.rawScore.toFixed(2)}</span>
+            <button
+              onClick={() => {
+                onApply(estimate.difficulty);
+                setIsOpen(false);
+              }}
+              disabled={!differs}
+            >
+              Use {estimate.difficulty}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DifficultySuggestion;
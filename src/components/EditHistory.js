@@ -0,0 +1,196 @@
+export const MAX_HISTORY_ENTRIES = 100;
+export const MAX_HISTORY_CELLS = 200000;
+// Same-key edits only fold together while they follow each other this closely.
+export const MERGE_WINDOW_MS = 2000;
+
+// base is the newest command dropped off the front of the history, or null while
+// nothing has been dropped. It stands for the state at cursor 0, so saved
+// markers can still tell that state apart from the real initial one.
+export function createHistory() {
+  return {
+    entries: [],
+    cursor: 0,
+    base: null
+  };
+}
+
+// The command whose result is the current state; compared by identity to see
+// whether the editor is back at a saved point.
+export function getCurrentEntry(history) {
+  return history.cursor > 0 ? history.entries[history.cursor - 1] : history.base;
+}
+
+function metadataEquals(a, b) {
+  return a.difficulty === b.difficulty && a.maxMoves === b.maxMoves && a.connectivity === b.connectivity;
+}
+
+// Commands only keep the voxels that actually changed, so a single click costs
+// one cell of memory instead of a full copy of the grid. A resize changes every
+// index, so those commands keep both grids whole instead.
+export function createCommand(label, prevState, nextState, mergeKey = null) {
+  const metadataChanged = !metadataEquals(prevState.metadata, nextState.metadata);
+
+  if (prevState.gridSize !== nextState.gridSize) {
+    return {
+      label,
+      mergeKey,
+      timestamp: Date.now(),
+      voxelChanges: null,
+      gridChange: {
+        previous: { gridSize: prevState.gridSize, voxelData: prevState.voxelData },
+        next: { gridSize: nextState.gridSize, voxelData: nextState.voxelData }
+      },
+      metadataChange: metadataChanged ? { previous: { ...prevState.metadata }, next: { ...nextState.metadata } } : null
+    };
+  }
+
+  const changedIndices = [];
+  const previousValues = [];
+  const nextValues = [];
+
+  for (let i = 0; i < nextState.voxelData.length; i++) {
+    if (!!prevState.voxelData[i] !== !!nextState.voxelData[i]) {
+      changedIndices.push(i);
+      previousValues.push(!!prevState.voxelData[i]);
+      nextValues.push(!!nextState.voxelData[i]);
+    }
+  }
+
+  if (changedIndices.length === 0 && !metadataChanged) {
+    return null;
+  }
+
+  return {
+    label,
+    mergeKey,
+    timestamp: Date.now(),
+    voxelChanges: changedIndices.length > 0 ? { indices: changedIndices, previousValues, nextValues } : null,
+    gridChange: null,
+    metadataChange: metadataChanged ? { previous: { ...prevState.metadata }, next: { ...nextState.metadata } } : null
+  };
+}
+
+export function getCommandCost(command) {
+  if (command.gridChange) {
+    return command.gridChange.previous.voxelData.length + command.gridChange.next.voxelData.length;
+  }
+  return command.voxelChanges ? command.voxelChanges.indices.length : 1;
+}
+
+function applyVoxelChanges(voxelData, voxelChanges, values) {
+  const newData = [...voxelData];
+  voxelChanges.indices.forEach((index, i) => {
+    newData[index] = values[i];
+  });
+  return newData;
+}
+
+export function applyCommand(state, command) {
+  if (command.gridChange) {
+    return {
+      ...state,
+      gridSize: command.gridChange.next.gridSize,
+      voxelData: command.gridChange.next.voxelData,
+      metadata: command.metadataChange ? { ...command.metadataChange.next } : state.metadata
+    };
+  }
+
+  return {
+    ...state,
+    voxelData: command.voxelChanges
+      ? applyVoxelChanges(state.voxelData, command.voxelChanges, command.voxelChanges.nextValues)
+      : state.voxelData,
+    metadata: command.metadataChange ? { ...command.metadataChange.next } : state.metadata
+  };
+}
+
+export function revertCommand(state, command) {
+  if (command.gridChange) {
+    return {
+      ...state,
+      gridSize: command.gridChange.previous.gridSize,
+      voxelData: command.gridChange.previous.voxelData,
+      metadata: command.metadataChange ? { ...command.metadataChange.previous } : state.metadata
+    };
+  }
+
+  return {
+    ...state,
+    voxelData: command.voxelChanges
+      ? applyVoxelChanges(state.voxelData, command.voxelChanges, command.voxelChanges.previousValues)
+      : state.voxelData,
+    metadata: command.metadataChange ? { ...command.metadataChange.previous } : state.metadata
+  };
+}
+
+function mergeCommands(olderCommand, newerCommand) {
+  return {
+    ...newerCommand,
+    metadataChange: {
+      previous: olderCommand.metadataChange.previous,
+      next: newerCommand.metadataChange.next
+    }
+  };
+}
+
+export function pushCommand(history, command) {
+  if (!command) return history;
+
+  let entries = history.entries.slice(0, history.cursor);
+  const lastEntry = entries[entries.length - 1];
+
+  // Typing "25" into Max Moves fires two changes; fold them into one entry.
+  if (command.mergeKey && lastEntry && lastEntry.mergeKey === command.mergeKey &&
+      command.timestamp - lastEntry.timestamp <= MERGE_WINDOW_MS &&
+      !command.voxelChanges && !lastEntry.voxelChanges &&
+      !command.gridChange && !lastEntry.gridChange) {
+    entries[entries.length - 1] = mergeCommands(lastEntry, command);
+  } else {
+    entries.push(command);
+  }
+
+  let base = history.base;
+  let totalCost = entries.reduce((sum, entry) => sum + getCommandCost(entry), 0);
+  while (entries.length > 1 && (entries.length > MAX_HISTORY_ENTRIES || totalCost > MAX_HISTORY_CELLS)) {
+    totalCost -= getCommandCost(entries[0]);
+    base = entries[0];
+    entries = entries.slice(1);
+  }
+
+  return {
+    entries,
+    cursor: entries.length,
+    base
+  };
+}
+
+export function canUndo(history) {
+  return history.cursor > 0;
+}
+
+export function canRedo(history) {
+  return history.cursor < history.entries.length;
+}
+
+// Walks the history from its current cursor to targetCursor, undoing or redoing
+// each command on the way. Returns the resulting editor state and history.
+export function travelTo(history, state, targetCursor) {
+  const target = Math.max(0, Math.min(history.entries.length, targetCursor));
+  let currentState = state;
+  let cursor = history.cursor;
+
+  while (cursor > target) {
+    cursor--;
+    currentState = revertCommand(currentState, history.entries[cursor]);
+  }
+
+  while (cursor < target) {
+    currentState = applyCommand(currentState, history.entries[cursor]);
+    cursor++;
+  }
+
+  return {
+    state: currentState,
+    history: { ...history, cursor }
+  };
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Shown after opening a file written in an older format, listing what differs.
+// The notes describe the file on disk; the shape itself is already loaded.
+function FormatNoticePanel({ fileName, notes, onDismiss }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column' }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        <span style={{ flex: 1 }}>Legacy format</span>
+        <button onClick={onDismiss} title="Hide this notice" style={{ minWidth: 0, padding: '0 6px' }}>×</button>
+      </div>
+
+      <div className="sunken-panel" style={{ background: '#ffffe1', padding: '2px 4px', maxHeight: '140px', overflowY: 'auto' }}>
+        <div style={{ marginBottom: '2px' }}>⚠️ {fileName} uses an older Chiselcore format:</div>
+        <ul style={{ margin: 0, paddingLeft: '16px' }}>
+          {notes.map(note => <li key={note}>{note}</li>)}
+        </ul>
+        <div style={{ marginTop: '2px', color: '#404040' }}>
+          These fields are dropped when the shape is saved or exported.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FormatNoticePanel;
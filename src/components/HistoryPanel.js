@@ -0,0 +1,58 @@
+import React from 'react';
+
+function HistoryPanel({ history, onJump }) {
+  // Once the oldest edits have been dropped, cursor 0 is no longer the shape the
+  // tab was opened with.
+  const firstLabel = history.base ? 'Oldest kept state (older edits dropped)' : 'Initial state';
+  const rows = [{ label: firstLabel, cursor: 0 }].concat(
+    history.entries.map((entry, index) => ({ label: entry.label, cursor: index + 1 }))
+  );
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      minHeight: 0,
+      flex: 1
+    }}>
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        History ({history.cursor}/{history.entries.length})
+      </div>
+
+      <div className="sunken-panel" style={{
+        flex: 1,
+        overflowY: 'auto',
+        background: '#ffffff'
+      }}>
+        {rows.map(row => {
+          const isCurrent = row.cursor === history.cursor;
+          const isUndone = row.cursor > history.cursor;
+
+          return (
+            <div
+              key={row.cursor}
+              onClick={() => onJump(row.cursor)}
+              title={isUndone ? 'Click to redo up to here' : 'Click to go back to this state'}
+              style={{
+                padding: '1px 4px',
+                cursor: 'default',
+                background: isCurrent ? '#000080' : 'transparent',
+                color: isCurrent ? '#ffffff' : isUndone ? '#808080' : '#000000',
+                fontStyle: isUndone ? 'italic' : 'normal'
+              }}
+            >
+              {row.label}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,105 @@
+import { zipSync, strToU8 } from 'fflate';
+import { LEGACY_FIELDS, getLegacyFormatNotes, validateJSONFormat } from './ShapeSerializer';
+
+// Bulk "migrate folder": every JSON file in a folder is checked, legacy fields
+// are stripped and the result is either written back in place (browsers with
+// the File System Access API) or offered as a zip of the migrated files.
+
+export function canWriteFolders() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
+async function collectDirectoryFiles(directoryHandle, prefix, files) {
+  for await (const handle of directoryHandle.values()) {
+    const path = `${prefix}${handle.name}`;
+    if (handle.kind === 'directory') {
+      await collectDirectoryFiles(handle, `${path}/`, files);
+    } else if (/\.json$/i.test(handle.name) && !handle.name.startsWith('.')) {
+      files.push({ path, file: await handle.getFile(), handle });
+    }
+  }
+}
+
+// Resolves to null when the user cancels the picker.
+export async function pickWritableFolder() {
+  let directoryHandle;
+  try {
+    directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+
+  const files = [];
+  await collectDirectoryFiles(directoryHandle, '', files);
+  return { name: directoryHandle.name, files };
+}
+
+// Files picked through <input webkitdirectory>; these cannot be written back.
+export function folderFromFileList(fileList) {
+  const files = [...fileList]
+    .filter(file => /\.json$/i.test(file.name) && !file.name.startsWith('.'))
+    .map(file => ({ path: file.webkitRelativePath || file.name, file, handle: null }));
+  const name = files.length > 0 ? files[0].path.split('/')[0] : 'shapes';
+  return { name, files };
+}
+
+// Only the legacy fields are removed so that migrated files otherwise keep
+// their content and key order.
+export function migrateShapeJSON(jsonData) {
+  const formatValidation = validateJSONFormat(jsonData);
+  if (!formatValidation.isValid) {
+    return { jsonData: null, changes: [], errors: formatValidation.errors };
+  }
+
+  const migrated = { ...jsonData };
+  LEGACY_FIELDS.forEach(field => delete migrated[field]);
+  return { jsonData: migrated, changes: getLegacyFormatNotes(jsonData), errors: [] };
+}
+
+// Each result is 'migrated' (has legacy fields), 'current' (nothing to do) or
+// 'failed' (unreadable or invalid - left untouched).
+export async function migrateShapeFiles(files) {
+  const results = [];
+
+  for (const [id, { path, file, handle }] of files.entries()) {
+    const result = { id, path, handle, status: 'failed', changes: [], errors: [], text: null };
+    results.push(result);
+
+    let jsonData;
+    try {
+      jsonData = JSON.parse(await file.text());
+    } catch (error) {
+      result.errors.push(`Not valid JSON: ${error.message}`);
+      continue;
+    }
+
+    const migration = migrateShapeJSON(jsonData);
+    result.errors = migration.errors;
+    result.changes = migration.changes;
+    if (migration.errors.length > 0) continue;
+
+    result.status = migration.changes.length > 0 ? 'migrated' : 'current';
+    result.text = JSON.stringify(migration.jsonData, null, 2);
+  }
+
+  return results;
+}
+
+export async function writeMigratedFiles(results) {
+  const migrated = results.filter(result => result.status === 'migrated');
+  for (const result of migrated) {
+    const writable = await result.handle.createWritable();
+    await writable.write(result.text);
+    await writable.close();
+  }
+  return migrated.length;
+}
+
+export function createMigratedZip(results) {
+  const files = {};
+  results.filter(result => result.status === 'migrated').forEach(result => {
+    files[result.path] = strToU8(result.text);
+  });
+  return zipSync(files);
+}
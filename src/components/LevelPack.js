@@ -0,0 +1,109 @@
+import { unzipSync, zipSync, strToU8, strFromU8 } from 'fflate';
+import { validateJSONFormat, importFromJSON, exportToJSON } from './ShapeSerializer';
+import { validateShape } from './ShapeValidator';
+
+// Level packs are plain zip archives of Chiselcore JSON files plus a manifest,
+// built and read entirely in the browser.
+export const MANIFEST_FILE_NAME = 'manifest.json';
+
+function isShapeFileName(path) {
+  const fileName = path.split('/').pop();
+  return /\.json$/i.test(fileName) && fileName !== MANIFEST_FILE_NAME &&
+    !fileName.startsWith('.') && !path.startsWith('__MACOSX/');
+}
+
+// Expands the picked files into individual shape files: zips are unpacked,
+// JSON files are read as they are. A file that cannot be read or unpacked comes
+// back as one entry with a readError instead of stopping the rest.
+export async function readShapeFiles(files) {
+  const shapeFiles = [];
+
+  for (const file of files) {
+    try {
+      if (/\.zip$/i.test(file.name)) {
+        const archive = unzipSync(new Uint8Array(await file.arrayBuffer()));
+        Object.keys(archive).sort().forEach(path => {
+          if (isShapeFileName(path)) {
+            shapeFiles.push({ id: shapeFiles.length, fileName: path, source: file.name, text: strFromU8(archive[path]) });
+          }
+        });
+      } else {
+        shapeFiles.push({ id: shapeFiles.length, fileName: file.name, source: null, text: await file.text() });
+      }
+    } catch (error) {
+      shapeFiles.push({ id: shapeFiles.length, fileName: file.name, source: null, text: null, readError: error.message });
+    }
+  }
+
+  return shapeFiles;
+}
+
+// Runs a file through the same checks as a single load plus the shape rules.
+// Unreadable files come back without a shape; readable ones that break an
+// error rule keep their shape but are not valid.
+export function checkShapeFile({ id, fileName, source, text, readError }, ruleset) {
+  const result = { id, fileName, source, shape: null, isValid: false, errors: [], warnings: [] };
+
+  if (readError) {
+    result.errors.push(`Could not read the file: ${readError}`);
+    return result;
+  }
+
+  let jsonData;
+  try {
+    jsonData = JSON.parse(text);
+  } catch (error) {
+    result.errors.push(`Not valid JSON: ${error.message}`);
+    return result;
+  }
+
+  const formatValidation = validateJSONFormat(jsonData);
+  if (!formatValidation.isValid) {
+    result.errors.push(...formatValidation.errors);
+    return result;
+  }
+
+  const shape = importFromJSON(jsonData);
+  const validation = validateShape(shape.voxelData, shape.gridSize, shape.metadata.connectivity, ruleset);
+  result.errors.push(...validation.errors);
+  result.warnings.push(...validation.warnings, ...shape.legacyNotes);
+  result.shape = shape;
+  result.isValid = validation.isValid;
+  return result;
+}
+
+function getUniqueFileName(usedNames, name) {
+  const safeName = name.replace(/[\\/:*?"<>|]/g, '_') || 'shape';
+  let fileName = `${safeName}.json`;
+  for (let counter = 2; usedNames.has(fileName.toLowerCase()); counter++) {
+    fileName = `${safeName} (${counter}).json`;
+  }
+  usedNames.add(fileName.toLowerCase());
+  return fileName;
+}
+
+// shapes: [{ name, voxelData, gridSize, metadata }]
+export function createLevelPackZip(packName, shapes, encoding) {
+  const usedNames = new Set([MANIFEST_FILE_NAME]);
+  const files = {};
+  const manifest = {
+    name: packName,
+    createdAt: new Date().toISOString(),
+    shapes: []
+  };
+
+  shapes.forEach(shape => {
+    const fileName = getUniqueFileName(usedNames, shape.name);
+    files[fileName] = strToU8(JSON.stringify(exportToJSON(shape.voxelData, shape.metadata, encoding), null, 2));
+    manifest.shapes.push({
+      name: shape.name,
+      file: fileName,
+      gridSize: shape.gridSize,
+      difficulty: shape.metadata.difficulty,
+      maxMoves: shape.metadata.maxMoves
+    });
+  });
+
+  files[MANIFEST_FILE_NAME] = strToU8(JSON.stringify(manifest, null, 2));
+  return zipSync(files);
+}
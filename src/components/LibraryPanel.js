@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+
+function LibraryPanel({ library, openTabIds, onOpen, onDuplicate, onRename, onDelete, onExport, onImportPack, onExportPack, onMigrateFolder }) {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const query = search.trim().toLowerCase();
+  const entries = query ? library.filter(entry => entry.name.toLowerCase().includes(query)) : library;
+  const selected = library.find(entry => entry.id === selectedId);
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      minHeight: 0,
+      flex: 1
+    }}>
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        Library ({library.length})
+      </div>
+
+      <input
+        type="text"
+        placeholder="Search shapes…"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        style={{ margin: '2px 0' }}
+      />
+
+      <div className="sunken-panel" style={{
+        flex: 1,
+        overflowY: 'auto',
+        background: '#ffffff'
+      }}>
+        {entries.length === 0 && (
+          <div style={{ padding: '4px', color: '#808080' }}>
+            {library.length === 0 ? 'No saved shapes yet - use Save to add the current tab.' : 'No shapes match.'}
+          </div>
+        )}
+        {entries.map(entry => {
+          const isSelected = entry.id === selectedId;
+          return (
+            <div
+              key={entry.id}
+              onClick={() => setSelectedId(entry.id)}
+              onDoubleClick={() => onOpen(entry)}
+              title="Double-click to open in a tab"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '2px 4px',
+                cursor: 'default',
+                background: isSelected ? '#000080' : 'transparent',
+                color: isSelected ? '#ffffff' : '#000000'
+              }}
+            >
+              {entry.thumbnail ? (
+                <img src={entry.thumbnail} alt="" width={40} height={40} style={{ background: '#008080', flexShrink: 0 }} />
+              ) : (
+                <div style={{ width: 40, height: 40, background: '#008080', flexShrink: 0 }} />
+              )}
+              <div style={{ overflow: 'hidden' }}>
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {entry.name}{openTabIds.includes(entry.id) ? ' (open)' : ''}
+                </div>
+                <div style={{ fontSize: '10px' }}>
+                  {entry.gridSize}³ · D{entry.metadata.difficulty} · {entry.metadata.maxMoves} moves
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px', paddingTop: '4px' }}>
+        <button onClick={() => onOpen(selected)} disabled={!selected} style={{ minWidth: 0 }}>Open</button>
+        <button onClick={() => onDuplicate(selected)} disabled={!selected} style={{ minWidth: 0 }}>Duplicate</button>
+        <button onClick={() => onRename(selected)} disabled={!selected} style={{ minWidth: 0 }}>Rename</button>
+        <button onClick={() => onExport(selected)} disabled={!selected} style={{ minWidth: 0 }} title="Download as a Chiselcore JSON file">
+          Export
+        </button>
+        <button onClick={() => onDelete(selected)} disabled={!selected} style={{ minWidth: 0 }}>Delete</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '2px', paddingTop: '4px' }}>
+        <button onClick={onImportPack} style={{ minWidth: 0, flex: 1 }} title="Import several JSON files or a .zip level pack">
+          Import pack…
+        </button>
+        <button onClick={onExportPack} style={{ minWidth: 0, flex: 1 }} title="Export library shapes as one .zip with a manifest">
+          Export pack…
+        </button>
+      </div>
+
+      <button onClick={onMigrateFolder} style={{ minWidth: 0, marginTop: '2px' }} title="Strip legacy shapeName/gridSize fields from every shape file in a folder">
+        Migrate folder…
+      </button>
+    </div>
+  );
+}
+
+export default LibraryPanel;
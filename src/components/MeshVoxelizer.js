@@ -0,0 +1,192 @@
+// Reads OBJ and STL meshes and voxelizes them. Triangles are plain
+// [[x, y, z], [x, y, z], [x, y, z]] arrays in the editor's Y-up space.
+
+// Polygons are fanned into triangles; texture and normal references are
+// ignored. Negative indices count back from the latest vertex, as in the spec.
+export function parseOBJ(text) {
+  const vertices = [];
+  const triangles = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      vertices.push(parts.slice(1, 4).map(Number));
+    } else if (parts[0] === 'f') {
+      const indices = parts.slice(1).map(part => {
+        const index = parseInt(part.split('/')[0], 10);
+        return index < 0 ? vertices.length + index : index - 1;
+      });
+      for (let i = 1; i + 1 < indices.length; i++) {
+        const corners = [indices[0], indices[i], indices[i + 1]].map(index => vertices[index]);
+        if (corners.some(corner => !corner || corner.some(Number.isNaN))) {
+          throw new Error(`OBJ face refers to a missing vertex: ${line.trim()}`);
+        }
+        triangles.push(corners);
+      }
+    }
+  });
+
+  return triangles;
+}
+
+// STL is Z-up by convention, so it is rotated into Y-up on the way in - the
+// inverse of what exportSTL does.
+function fromZUp([x, y, z]) {
+  return [x, z, -y];
+}
+
+function parseAsciiSTL(text) {
+  const triangles = [];
+  let corners = [];
+  text.split(/\r?\n/).forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'vertex') {
+      corners.push(fromZUp(parts.slice(1, 4).map(Number)));
+      if (corners.length === 3) {
+        triangles.push(corners);
+        corners = [];
+      }
+    }
+  });
+  return triangles;
+}
+
+// Binary files may also start with "solid", so the size implied by the
+// triangle count decides which reader to use.
+export function parseSTL(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const binaryCount = bytes.length >= 84 ? view.getUint32(80, true) : -1;
+  if (binaryCount < 0 || 84 + binaryCount * 50 !== bytes.length) {
+    return parseAsciiSTL(new TextDecoder().decode(bytes));
+  }
+
+  const triangles = [];
+  for (let i = 0; i < binaryCount; i++) {
+    const base = 84 + i * 50 + 12;
+    const corner = (k) => fromZUp([0, 1, 2].map(axis => view.getFloat32(base + k * 12 + axis * 4, true)));
+    triangles.push([corner(0), corner(1), corner(2)]);
+  }
+  return triangles;
+}
+
+function getBounds(triangles) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  triangles.forEach(triangle => triangle.forEach(point => {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], point[axis]);
+      max[axis] = Math.max(max[axis], point[axis]);
+    }
+  }));
+  return { min, max };
+}
+
+// Scales the mesh uniformly so its largest side spans the grid and centers it.
+function fitToGrid(triangles, n) {
+  const { min, max } = getBounds(triangles);
+  const extent = Math.max(...[0, 1, 2].map(axis => max[axis] - min[axis]));
+  if (!(extent > 0)) throw new Error('The mesh has no volume to voxelize');
+
+  const scale = n / extent;
+  const offset = [0, 1, 2].map(axis => (n - (max[axis] - min[axis]) * scale) / 2 - min[axis] * scale);
+  return triangles.map(triangle => triangle.map(point => point.map((value, axis) => value * scale + offset[axis])));
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+// Marks every cell a triangle passes through by sampling it at under half a
+// cell spacing. Samples are nudged against the triangle's normal and slightly
+// towards its centre, so faces and edges lying exactly on cell boundaries
+// (any mesh exported from the editor) land in the cell they enclose.
+const SHRINK = 1e-4;
+
+function markSurface(triangles, n, voxelData) {
+  const mark = ([x, y, z]) => {
+    const cx = Math.min(n - 1, Math.max(0, Math.floor(x)));
+    const cy = Math.min(n - 1, Math.max(0, Math.floor(y)));
+    const cz = Math.min(n - 1, Math.max(0, Math.floor(z)));
+    voxelData[cx + cy * n + cz * n * n] = true;
+  };
+
+  triangles.forEach(([a, b, c]) => {
+    const normal = cross(subtract(b, a), subtract(c, a));
+    const length = Math.hypot(...normal);
+    if (length === 0) return;
+    const nudge = normal.map(value => -value / length * 1e-4);
+
+    const longestEdge = Math.max(Math.hypot(...subtract(b, a)), Math.hypot(...subtract(c, b)), Math.hypot(...subtract(a, c)));
+    const steps = Math.max(1, Math.ceil(longestEdge * 2));
+    for (let i = 0; i <= steps; i++) {
+      for (let j = 0; j <= steps - i; j++) {
+        const u = (i / steps) * (1 - SHRINK) + SHRINK / 3;
+        const v = (j / steps) * (1 - SHRINK) + SHRINK / 3;
+        const w = 1 - u - v;
+        mark([0, 1, 2].map(axis => a[axis] * w + b[axis] * u + c[axis] * v + nudge[axis]));
+      }
+    }
+  });
+}
+
+// Fills cells whose centre is inside the mesh by casting a ray up every
+// column and pairing the crossings. Returns how many columns had an odd number
+// of crossings, which means the mesh is not closed there.
+function fillInterior(triangles, n, voxelData) {
+  const crossings = Array.from({ length: n * n }, () => []);
+  // Tiny, unequal offsets keep rays from running exactly through shared edges.
+  const jitterX = 1.37e-5;
+  const jitterZ = 2.91e-5;
+
+  triangles.forEach(([a, b, c]) => {
+    const minX = Math.max(0, Math.ceil(Math.min(a[0], b[0], c[0]) - 0.5 - jitterX));
+    const maxX = Math.min(n - 1, Math.floor(Math.max(a[0], b[0], c[0]) - 0.5 - jitterX));
+    const minZ = Math.max(0, Math.ceil(Math.min(a[2], b[2], c[2]) - 0.5 - jitterZ));
+    const maxZ = Math.min(n - 1, Math.floor(Math.max(a[2], b[2], c[2]) - 0.5 - jitterZ));
+    const area = (b[0] - a[0]) * (c[2] - a[2]) - (c[0] - a[0]) * (b[2] - a[2]);
+    if (area === 0) return;
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let z = minZ; z <= maxZ; z++) {
+        const px = x + 0.5 + jitterX;
+        const pz = z + 0.5 + jitterZ;
+        // Barycentric weights of the column in the triangle's xz projection.
+        const weightB = ((c[0] - px) * (a[2] - pz) - (a[0] - px) * (c[2] - pz)) / area;
+        const weightC = ((a[0] - px) * (b[2] - pz) - (b[0] - px) * (a[2] - pz)) / area;
+        const weightA = 1 - weightB - weightC;
+        if (weightA < 0 || weightB < 0 || weightC < 0) continue;
+        crossings[x + z * n].push(a[1] * weightA + b[1] * weightB + c[1] * weightC);
+      }
+    }
+  });
+
+  let openColumns = 0;
+  crossings.forEach((heights, column) => {
+    if (heights.length % 2 !== 0) openColumns++;
+    heights.sort((first, second) => first - second);
+    const x = column % n;
+    const z = Math.floor(column / n);
+    for (let i = 0; i + 1 < heights.length; i += 2) {
+      for (let y = Math.max(0, Math.ceil(heights[i] - 0.5)); y < n && y + 0.5 <= heights[i + 1]; y++) {
+        voxelData[x + y * n + z * n * n] = true;
+      }
+    }
+  });
+  return openColumns;
+}
+
+// mode: 'solid' fills the inside, 'surface' keeps a one-voxel shell. Solid
+// also keeps the shell so thin parts narrower than a cell survive.
+export function voxelizeTriangles(triangles, n, mode = 'solid') {
+  if (triangles.length === 0) throw new Error('The file contains no triangles');
+
+  const fitted = fitToGrid(triangles, n);
+  const voxelData = new Array(n * n * n).fill(false);
+  markSurface(fitted, n, voxelData);
+  const openColumns = mode === 'solid' ? fillInterior(fitted, n, voxelData) : 0;
+  return { voxelData, openColumns };
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import Dialog from './Dialog';
+
+const STATUS_LABELS = {
+  migrated: { icon: '🔧', text: 'Will be migrated' },
+  current: { icon: '✅', text: 'Already current' },
+  failed: { icon: '❌', text: 'Skipped' }
+};
+
+// Reports what "migrate folder" found before anything is written, then
+// rewrites the files in place or downloads them as a zip.
+function MigrationDialog({ folderName, results, canWrite, onApply, onClose }) {
+  const migratedCount = results.filter(result => result.status === 'migrated').length;
+  const currentCount = results.filter(result => result.status === 'current').length;
+  const failedCount = results.length - migratedCount - currentCount;
+
+  return (
+    <Dialog
+      title={`Migrate folder - ${folderName}`}
+      onClose={onClose}
+      width="560px"
+      buttons={[
+        {
+          label: canWrite ? `Rewrite ${migratedCount} files` : `Download ${migratedCount} files (.zip)`,
+          onClick: onApply,
+          isDefault: true,
+          disabled: migratedCount === 0
+        },
+        { label: 'Close', onClick: onClose }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>
+        {results.length} JSON files: {migratedCount} with legacy fields, {currentCount} already current,
+        {' '}{failedCount} could not be migrated.
+        {!canWrite && migratedCount > 0 && ' This browser cannot write to folders, so the migrated files are downloaded instead.'}
+      </p>
+
+      <div className="sunken-panel" style={{ maxHeight: '340px', overflowY: 'auto', background: '#ffffff' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th>File</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => {
+              const status = STATUS_LABELS[result.status];
+              const messages = result.errors.concat(result.changes);
+              return (
+                <tr key={result.id} style={{ verticalAlign: 'top' }}>
+                  <td>
+                    <div>{result.path}</div>
+                    {messages.length > 0 && (
+                      <ul style={{ margin: '2px 0 4px 0', paddingLeft: '16px', color: result.status === 'failed' ? '#800000' : '#404040' }}>
+                        {messages.map((message, index) => <li key={index}>{message}</li>)}
+                      </ul>
+                    )}
+                  </td>
+                  <td style={{ whiteSpace: 'nowrap' }}>{status.icon} {status.text}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Dialog>
+  );
+}
+
+export default MigrationDialog;
@@ -0,0 +1,81 @@
+import React, { useState, useMemo } from 'react';
+import Dialog from './Dialog';
+import { MODEL_FORMATS } from './ModelExporters';
+import { buildVoxelMesh } from './VoxelMesher';
+
+// Options for exporting the working shape as a mesh or .vox file. The face
+// count preview is the mesh the exporter will write.
+function ModelExportDialog({ fileName, voxelData, gridSize, onExport, onClose }) {
+  const [format, setFormat] = useState('glb');
+  const [scale, setScale] = useState(1);
+  const [mergeFaces, setMergeFaces] = useState(true);
+
+  const usesMesh = MODEL_FORMATS[format].usesMesh;
+  const voxelCount = voxelData.filter(voxel => voxel).length;
+  const isScaleValid = Number.isFinite(scale) && scale > 0;
+
+  const mesh = useMemo(() => {
+    return usesMesh ? buildVoxelMesh(voxelData, gridSize, { mergeFaces }) : null;
+  }, [usesMesh, voxelData, gridSize, mergeFaces]);
+
+  return (
+    <Dialog
+      title={`Export ${fileName} as 3D model`}
+      onClose={onClose}
+      width="360px"
+      buttons={[
+        {
+          label: 'Export',
+          onClick: () => onExport(format, { scale, mergeFaces }),
+          isDefault: true,
+          disabled: voxelCount === 0 || !isScaleValid,
+          title: voxelCount === 0 ? 'The shape has no voxels' : undefined
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <div className="field-row" style={{ marginBottom: '6px' }}>
+        <label htmlFor="model-format" style={{ width: '80px' }}>Format:</label>
+        <select id="model-format" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(MODEL_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="field-row" style={{ marginBottom: '6px' }}>
+        <label htmlFor="model-scale" style={{ width: '80px' }}>Voxel size:</label>
+        <input
+          id="model-scale"
+          type="number"
+          min="0.001"
+          step="0.1"
+          value={scale}
+          disabled={!usesMesh}
+          onChange={(e) => setScale(parseFloat(e.target.value))}
+          style={{ width: '70px' }}
+        />
+        <span>units per voxel</span>
+      </div>
+
+      <div className="field-row" style={{ marginBottom: '6px' }}>
+        <input
+          id="model-merge"
+          type="checkbox"
+          checked={mergeFaces}
+          disabled={!usesMesh}
+          onChange={(e) => setMergeFaces(e.target.checked)}
+        />
+        <label htmlFor="model-merge">Merge coplanar faces</label>
+      </div>
+
+      <p style={{ margin: 0, color: '#404040' }}>
+        {usesMesh
+          ? `${mesh.quads.length} faces, ${mesh.indices.length / 3} triangles - hidden faces are left out.`
+          : `${voxelCount} voxels in a ${gridSize}³ model, Z-up as MagicaVoxel expects.`}
+      </p>
+    </Dialog>
+  );
+}
+
+export default ModelExportDialog;
@@ -0,0 +1,175 @@
+import { buildVoxelMesh, getMeshBounds } from './VoxelMesher';
+import { exportVox } from './VoxFormat';
+
+// Mesh file writers for meshes from buildVoxelMesh. Pure functions returning a
+// string or bytes; saving them is up to the caller.
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+// Vertices are shared between quads and each face keeps its quad, so a merged
+// wall stays a single polygon in modelling tools.
+export function exportOBJ(mesh, name = 'shape') {
+  const lines = [`# Chiselcore shape ${name}`, `o ${name.replace(/\s+/g, '_')}`];
+  const vertexIndices = new Map();
+  const normalIndices = new Map();
+  const faces = [];
+
+  const indexOf = (map, values, prefix) => {
+    const key = values.map(formatNumber).join(' ');
+    if (!map.has(key)) {
+      map.set(key, map.size + 1);
+      lines.push(`${prefix} ${key}`);
+    }
+    return map.get(key);
+  };
+
+  mesh.quads.forEach(quad => {
+    const normal = indexOf(normalIndices, quad.normal, 'vn');
+    const corners = quad.corners.map(corner => `${indexOf(vertexIndices, corner, 'v')}//${normal}`);
+    faces.push(`f ${corners.join(' ')}`);
+  });
+
+  return [...lines, ...faces].join('\n') + '\n';
+}
+
+// Binary STL, rotated to Z-up as slicers expect.
+export function exportSTL(mesh, name = 'shape') {
+  const toZUp = ([x, y, z]) => [x, -z, y];
+  const triangleCount = mesh.indices.length / 3;
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+
+  const header = `Chiselcore shape ${name}`.slice(0, 80);
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  const writeVector = (vector) => {
+    vector.forEach(value => {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    });
+  };
+  const vertexAt = (index) => mesh.positions.slice(index * 3, index * 3 + 3);
+
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    const first = mesh.indices[i];
+    writeVector(toZUp(mesh.normals.slice(first * 3, first * 3 + 3)));
+    writeVector(toZUp(vertexAt(first)));
+    writeVector(toZUp(vertexAt(mesh.indices[i + 1])));
+    writeVector(toZUp(vertexAt(mesh.indices[i + 2])));
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+
+  return new Uint8Array(buffer);
+}
+
+function padTo4(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+// Builds the glTF document and its single binary buffer: positions, normals,
+// then indices, each in its own buffer view.
+function buildGLTF(mesh, name) {
+  const vertexCount = mesh.positions.length / 3;
+  const useShortIndices = vertexCount <= 0xffff;
+  const IndexArray = useShortIndices ? Uint16Array : Uint32Array;
+
+  const positionBytes = new Uint8Array(new Float32Array(mesh.positions).buffer);
+  const normalBytes = new Uint8Array(new Float32Array(mesh.normals).buffer);
+  const indexBytes = new Uint8Array(new IndexArray(mesh.indices).buffer);
+
+  const binary = new Uint8Array(padTo4(positionBytes.length + normalBytes.length + indexBytes.length));
+  binary.set(positionBytes, 0);
+  binary.set(normalBytes, positionBytes.length);
+  binary.set(indexBytes, positionBytes.length + normalBytes.length);
+
+  const { min, max } = getMeshBounds(mesh);
+
+  const json = {
+    asset: { version: '2.0', generator: 'Chiselcore Shape Editor' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{
+      name,
+      primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }]
+    }],
+    materials: [{
+      name: 'voxel',
+      pbrMetallicRoughness: { baseColorFactor: [0.8, 0.8, 0.8, 1], metallicFactor: 0, roughnessFactor: 1 }
+    }],
+    buffers: [{ byteLength: binary.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes.length, target: 34962 },
+      { buffer: 0, byteOffset: positionBytes.length, byteLength: normalBytes.length, target: 34962 },
+      { buffer: 0, byteOffset: positionBytes.length + normalBytes.length, byteLength: indexBytes.length, target: 34963 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: vertexCount, type: 'VEC3', min, max },
+      { bufferView: 1, componentType: 5126, count: vertexCount, type: 'VEC3' },
+      { bufferView: 2, componentType: useShortIndices ? 5123 : 5125, count: mesh.indices.length, type: 'SCALAR' }
+    ]
+  };
+
+  return { json, binary };
+}
+
+function bytesToBase64(bytes) {
+  let byteString = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    byteString += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(byteString);
+}
+
+// Self-contained .gltf with the buffer embedded as a data URI.
+export function exportGLTF(mesh, name = 'shape') {
+  const { json, binary } = buildGLTF(mesh, name);
+  json.buffers[0].uri = `data:application/octet-stream;base64,${bytesToBase64(binary)}`;
+  return JSON.stringify(json);
+}
+
+export function exportGLB(mesh, name = 'shape') {
+  const { json, binary } = buildGLTF(mesh, name);
+  // The JSON chunk is padded with spaces, as the GLB spec requires.
+  const encodedJson = new TextEncoder().encode(JSON.stringify(json));
+  const jsonChunk = new Uint8Array(padTo4(encodedJson.length)).fill(0x20);
+  jsonChunk.set(encodedJson);
+
+  const totalLength = 12 + 8 + jsonChunk.length + 8 + binary.length;
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546c67, true); // 'glTF'
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+  view.setUint32(12, jsonChunk.length, true);
+  view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+  glb.set(jsonChunk, 20);
+  view.setUint32(20 + jsonChunk.length, binary.length, true);
+  view.setUint32(24 + jsonChunk.length, 0x004e4942, true); // 'BIN\0'
+  glb.set(binary, 28 + jsonChunk.length);
+  return glb;
+}
+
+export const MODEL_FORMATS = {
+  obj: { label: 'Wavefront OBJ (.obj)', extension: 'obj', type: 'text/plain', usesMesh: true },
+  stl: { label: 'STL, binary (.stl)', extension: 'stl', type: 'model/stl', usesMesh: true },
+  gltf: { label: 'glTF, embedded (.gltf)', extension: 'gltf', type: 'model/gltf+json', usesMesh: true },
+  glb: { label: 'glTF binary (.glb)', extension: 'glb', type: 'model/gltf-binary', usesMesh: true },
+  vox: { label: 'MagicaVoxel (.vox)', extension: 'vox', type: 'application/octet-stream', usesMesh: false }
+};
+
+// options: { scale, mergeFaces } - ignored for .vox, which stores voxels.
+export function createModelFile(format, voxelData, n, options, name) {
+  const { extension, type, usesMesh } = MODEL_FORMATS[format];
+  const fileName = `${name}.${extension}`;
+  if (!usesMesh) return { fileName, type, data: exportVox(voxelData, n) };
+
+  const mesh = buildVoxelMesh(voxelData, n, options);
+  const writers = { obj: exportOBJ, stl: exportSTL, gltf: exportGLTF, glb: exportGLB };
+  return { fileName, type, data: writers[format](mesh, name) };
+}
@@ -0,0 +1,74 @@
+import { SUPPORTED_GRID_SIZES, convertGridSize, findVoxelsLostInConversion } from './ShapeSerializer';
+import { validateShape } from './ShapeValidator';
+import { analyzeComponents } from './ShapeRepair';
+import { importVox } from './VoxFormat';
+import { parseOBJ, parseSTL, voxelizeTriangles } from './MeshVoxelizer';
+
+// Brings shapes in from other tools. Voxel models keep their voxels and go
+// through convertGridSize like a Chiselcore file; meshes are voxelized
+// straight into the chosen grid. Either way the result is checked the same
+// way as a shape made in the editor.
+
+export const MODEL_IMPORT_ACCEPT = '.vox,.obj,.stl';
+
+export function isModelFileName(fileName) {
+  return /\.(vox|obj|stl)$/i.test(fileName);
+}
+
+// Parses the file into a source for buildImportedShape:
+//   { kind: 'voxels', voxelData, gridSize, description }
+//   { kind: 'mesh', triangles, description }
+export function readModelFile(fileName, bytes) {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'vox') {
+    const model = importVox(bytes);
+    const [sizeX, sizeY, sizeZ] = model.size;
+    const modelsText = model.modelCount > 1 ? ` - the first of ${model.modelCount} models` : '';
+    return {
+      kind: 'voxels',
+      voxelData: model.voxelData,
+      gridSize: model.gridSize,
+      description: `MagicaVoxel model, ${sizeX}×${sizeY}×${sizeZ}${modelsText}`
+    };
+  }
+
+  const triangles = extension === 'obj' ? parseOBJ(new TextDecoder().decode(bytes)) : parseSTL(bytes);
+  if (triangles.length === 0) throw new Error(`${fileName} contains no triangles`);
+  return {
+    kind: 'mesh',
+    triangles,
+    description: `${extension.toUpperCase()} mesh, ${triangles.length} triangles`
+  };
+}
+
+// Voxel models get the smallest grid that holds them; meshes have no size of
+// their own, so they start at the editor's current grid.
+export function getDefaultImportGridSize(source, currentGridSize) {
+  if (source.kind === 'mesh') return currentGridSize;
+  const fitting = SUPPORTED_GRID_SIZES.find(size => size >= source.gridSize);
+  return fitting || SUPPORTED_GRID_SIZES[SUPPORTED_GRID_SIZES.length - 1];
+}
+
+// mode ('solid' or 'surface') only applies to meshes.
+export function buildImportedShape(source, gridSize, mode, connectivityType, ruleset) {
+  let voxelData;
+  let croppedVoxelCount = 0;
+  let openColumns = 0;
+
+  if (source.kind === 'voxels') {
+    voxelData = convertGridSize(source.voxelData, source.gridSize, gridSize);
+    croppedVoxelCount = findVoxelsLostInConversion(source.voxelData, source.gridSize, gridSize).length;
+  } else {
+    ({ voxelData, openColumns } = voxelizeTriangles(source.triangles, gridSize, mode));
+  }
+
+  return {
+    voxelData,
+    gridSize,
+    croppedVoxelCount,
+    openColumns,
+    floatingComponents: analyzeComponents(voxelData, gridSize, connectivityType).floatingComponents,
+    validation: validateShape(voxelData, gridSize, connectivityType, ruleset)
+  };
+}
@@ -0,0 +1,93 @@
+import React, { useState, useMemo } from 'react';
+import Dialog from './Dialog';
+import { SUPPORTED_GRID_SIZES } from './ShapeSerializer';
+import { buildImportedShape } from './ModelImport';
+
+// Previews a .vox/OBJ/STL import at the chosen grid size before it becomes a
+// shape, with everything the conversion did that a designer should know about.
+function ModelImportDialog({ fileName, source, initialGridSize, ruleset, onImport, onClose }) {
+  const [gridSize, setGridSize] = useState(initialGridSize);
+  const [mode, setMode] = useState('solid');
+
+  const result = useMemo(() => {
+    try {
+      return buildImportedShape(source, gridSize, mode, 'face', ruleset);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [source, gridSize, mode, ruleset]);
+
+  const voxelCount = result.voxelData ? result.voxelData.filter(voxel => voxel).length : 0;
+  const floatingSizes = result.floatingComponents
+    ? result.floatingComponents.map(component => component.length).sort((a, b) => b - a)
+    : [];
+
+  return (
+    <Dialog
+      title={`Import ${fileName}`}
+      onClose={onClose}
+      width="420px"
+      buttons={[
+        {
+          label: 'Open in new tab',
+          onClick: () => onImport(result),
+          isDefault: true,
+          disabled: !!result.error || voxelCount === 0
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>{source.description}</p>
+
+      <div className="field-row" style={{ marginBottom: '6px' }}>
+        <label htmlFor="import-grid" style={{ width: '70px' }}>Grid size:</label>
+        <select id="import-grid" value={gridSize} onChange={(e) => setGridSize(parseInt(e.target.value))}>
+          {SUPPORTED_GRID_SIZES.map(size => (
+            <option key={size} value={size}>{size}×{size}×{size}</option>
+          ))}
+        </select>
+      </div>
+
+      {source.kind === 'mesh' && (
+        <div className="field-row" style={{ marginBottom: '6px' }}>
+          <span style={{ width: '70px' }}>Fill:</span>
+          <input id="import-solid" type="radio" name="import-mode" checked={mode === 'solid'} onChange={() => setMode('solid')} />
+          <label htmlFor="import-solid">Solid</label>
+          <input id="import-surface" type="radio" name="import-mode" checked={mode === 'surface'} onChange={() => setMode('surface')} />
+          <label htmlFor="import-surface">Surface shell</label>
+        </div>
+      )}
+
+      <div className="sunken-panel" style={{ background: '#ffffff', padding: '2px 4px', maxHeight: '220px', overflowY: 'auto' }}>
+        {result.error ? (
+          <div style={{ color: '#800000' }}>❌ {result.error}</div>
+        ) : (
+          <ul style={{ margin: 0, paddingLeft: '16px' }}>
+            <li>{voxelCount} voxels in a {gridSize}³ grid</li>
+            {result.croppedVoxelCount > 0 && (
+              <li style={{ color: '#800000' }}>{result.croppedVoxelCount} voxels are cropped to fit {gridSize}³</li>
+            )}
+            {result.openColumns > 0 && (
+              <li style={{ color: '#806000' }}>
+                The mesh is not closed ({result.openColumns} columns could not be filled) - try Surface shell
+              </li>
+            )}
+            <li style={{ color: floatingSizes.length > 0 ? '#806000' : '#000000' }}>
+              {floatingSizes.length === 0
+                ? 'No floating fragments'
+                : `${floatingSizes.length} floating fragments (${floatingSizes.join(', ')} voxels) - delete or bridge them after import`}
+            </li>
+            {result.validation.errors.map((message, index) => (
+              <li key={`error-${index}`} style={{ color: '#800000' }}>❌ {message}</li>
+            ))}
+            {result.validation.warnings.map((message, index) => (
+              <li key={`warning-${index}`} style={{ color: '#806000' }}>⚠️ {message}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+export default ModelImportDialog;
@@ -0,0 +1,87 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const FILLED_COLOR = '#4a90e2';
+const STROKE_FILL_COLOR = '#7fb2ee';
+const STROKE_CLEAR_COLOR = '#f4c0c0';
+
+// A square grid of cells painted with the mouse. A click toggles a cell; a drag
+// paints the value the first cell was toggled to, and the whole stroke is
+// reported once on release so the caller can make it a single edit.
+// getCellColor(column, row, filled) may override the color of a cell that is
+// not part of the current stroke by returning a color instead of null.
+function PaintGrid({ size, cellSize, isFilled, onPaint, getCellColor, getCellTitle }) {
+  const [stroke, setStroke] = useState(null);
+  const strokeRef = useRef(null);
+
+  const addToStroke = (column, row) => {
+    const key = `${column},${row}`;
+    if (strokeRef.current.cells.has(key)) return;
+    strokeRef.current.cells.set(key, { column, row });
+    setStroke({ ...strokeRef.current });
+  };
+
+  const handleCellDown = (event, column, row) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    strokeRef.current = { value: !isFilled(column, row), cells: new Map() };
+    addToStroke(column, row);
+  };
+
+  useEffect(() => {
+    if (!stroke) return undefined;
+    const handlePointerUp = () => {
+      const { value, cells } = strokeRef.current;
+      strokeRef.current = null;
+      setStroke(null);
+      onPaint([...cells.values()], value);
+    };
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => window.removeEventListener('pointerup', handlePointerUp);
+  }, [stroke, onPaint]);
+
+  const getBackground = (column, row) => {
+    const inStroke = stroke && stroke.cells.has(`${column},${row}`);
+    if (inStroke) return stroke.value ? STROKE_FILL_COLOR : STROKE_CLEAR_COLOR;
+    const filled = isFilled(column, row);
+    return (getCellColor && getCellColor(column, row, filled)) || (filled ? FILLED_COLOR : '#ffffff');
+  };
+
+  const cells = [];
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      cells.push(
+        <div
+          key={`${column},${row}`}
+          title={getCellTitle ? getCellTitle(column, row) : undefined}
+          onPointerDown={(event) => handleCellDown(event, column, row)}
+          onPointerEnter={() => strokeRef.current && addToStroke(column, row)}
+          style={{
+            width: cellSize,
+            height: cellSize,
+            boxSizing: 'border-box',
+            border: '1px solid #c0c0c0',
+            background: getBackground(column, row),
+            cursor: 'pointer'
+          }}
+        />
+      );
+    }
+  }
+
+  return (
+    <div
+      className="sunken-panel"
+      onContextMenu={(e) => e.preventDefault()}
+      style={{
+        display: 'grid',
+        gridTemplateColumns: `repeat(${size}, ${cellSize}px)`,
+        userSelect: 'none',
+        touchAction: 'none'
+      }}
+    >
+      {cells}
+    </div>
+  );
+}
+
+export default PaintGrid;
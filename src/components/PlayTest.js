@@ -0,0 +1,112 @@
+import { getNeighbors } from './ShapeValidator';
+import { createGridHelpers, isExposed, isGloballyRemovable } from './SolvabilityChecker';
+
+// Plays a shape the way the game does: the block starts as a full cube and each
+// move chisels one voxel that has an exposed face, as long as what is left stays
+// in one piece. The checks are the solvability checker's own, so a play test
+// follows the same rules the editor uses to judge the shape. Chiselling a voxel
+// of the target is a mistake; the session carries on so the tester sees the
+// whole run, but it can no longer be won.
+
+export const MOVE_LOG_FORMAT = 'chiselcore-move-log';
+
+export function createPlayTest(targetData, gridSize, maxMoves, connectivity) {
+  return {
+    targetData,
+    gridSize,
+    maxMoves,
+    connectivity,
+    block: new Array(gridSize * gridSize * gridSize).fill(true),
+    moves: [],
+    status: 'playing',
+    reason: null
+  };
+}
+
+// Why the game would refuse to chisel the cell at index, or null when it is allowed.
+function getIndexError(session, index, grid) {
+  const { block, connectivity } = session;
+  if (!block[index]) return 'That voxel has already been chiselled';
+  if (!isExposed(block, index, grid)) return 'That voxel has no exposed face';
+
+  const presentCount = block.filter(voxel => voxel).length;
+  if (!isGloballyRemovable(block, index, presentCount, grid, getNeighbors(0, 0, 0, connectivity))) {
+    return 'Chiselling that voxel would split the block';
+  }
+  return null;
+}
+
+export function getChiselError(session, position) {
+  const grid = createGridHelpers(session.gridSize);
+  return getIndexError(session, grid.toIndex(position.x, position.y, position.z), grid);
+}
+
+function hasLegalMove(session) {
+  const { block, targetData } = session;
+  const grid = createGridHelpers(session.gridSize);
+  for (let index = 0; index < block.length; index++) {
+    if (block[index] && !targetData[index] && !getIndexError(session, index, grid)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function countLeftToChisel(session) {
+  return session.block.filter((voxel, index) => voxel && !session.targetData[index]).length;
+}
+
+export function countMistakes(session) {
+  return session.moves.filter(move => move.isMistake).length;
+}
+
+function describeMistakes(mistakeCount) {
+  return `${mistakeCount} target voxel${mistakeCount === 1 ? ' was' : 's were'} chiselled`;
+}
+
+// Applies a move that getChiselError allowed and works out whether it ended the
+// session.
+export function chiselVoxel(session, position) {
+  const grid = createGridHelpers(session.gridSize);
+  const index = grid.toIndex(position.x, position.y, position.z);
+  const block = [...session.block];
+  block[index] = false;
+
+  const moves = [...session.moves, { ...position, isMistake: !!session.targetData[index] }];
+  const next = { ...session, block, moves };
+  const mistakeCount = countMistakes(next);
+
+  if (countLeftToChisel(next) === 0) {
+    return mistakeCount === 0
+      ? { ...next, status: 'won', reason: `Carved the shape in ${moves.length} of ${session.maxMoves} moves` }
+      : { ...next, status: 'lost', reason: `All the waste is gone, but ${describeMistakes(mistakeCount)}` };
+  }
+  if (moves.length >= session.maxMoves) {
+    return { ...next, status: 'lost', reason: `Ran out of moves after ${session.maxMoves}` };
+  }
+  if (!hasLegalMove(next)) {
+    return { ...next, status: 'lost', reason: 'No voxel outside the target can be chiselled without splitting the block' };
+  }
+  return next;
+}
+
+export function getMistakePositions(session) {
+  return session.moves.filter(move => move.isMistake).map(({ x, y, z }) => ({ x, y, z }));
+}
+
+// A won session's log is a reference solution: replaying its moves from a full
+// cube carves the target.
+export function createMoveLog(session, shapeName) {
+  return {
+    format: MOVE_LOG_FORMAT,
+    version: 1,
+    shapeName,
+    gridSize: session.gridSize,
+    connectivity: session.connectivity,
+    maxMoves: session.maxMoves,
+    result: session.status,
+    moveCount: session.moves.length,
+    mistakeCount: countMistakes(session),
+    moves: session.moves.map(({ x, y, z, isMistake }) => (isMistake ? { x, y, z, isMistake } : { x, y, z }))
+  };
+}
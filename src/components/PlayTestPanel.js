@@ -0,0 +1,68 @@
+import React from 'react';
+import { countLeftToChisel, countMistakes } from './PlayTest';
+
+const STATUS_STYLES = {
+  playing: { background: '#ffffff', color: '#000000' },
+  won: { background: '#e0ffe0', color: '#006000' },
+  lost: { background: '#ffe0e0', color: '#800000' }
+};
+
+// Move counter, outcome and recorded move log of the running play test.
+function PlayTestPanel({ session, onRestart, onExportLog, onStop }) {
+  const moveCount = session.moves.length;
+  const mistakeCount = countMistakes(session);
+  const isOverBudget = moveCount > session.maxMoves;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column' }}>
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        Play test
+      </div>
+
+      <div className="sunken-panel" style={{ ...STATUS_STYLES[session.status], padding: '2px 4px' }}>
+        <div style={{ color: isOverBudget ? '#800000' : undefined }}>
+          Moves: <strong>{moveCount}</strong> / {session.maxMoves}
+        </div>
+        <div style={{ color: mistakeCount > 0 ? '#c00000' : undefined }}>Mistakes: {mistakeCount}</div>
+        <div>Left to chisel: {countLeftToChisel(session)}</div>
+        <div style={{ marginTop: '2px', fontWeight: session.status === 'playing' ? 'normal' : 'bold' }}>
+          {session.status === 'playing' && (mistakeCount > 0
+            ? '⚠️ The target is damaged, so this run can no longer be won'
+            : 'Click a voxel to chisel it')}
+          {session.status === 'won' && `✅ Won - ${session.reason}`}
+          {session.status === 'lost' && `❌ Lost - ${session.reason}`}
+        </div>
+      </div>
+
+      <div className="sunken-panel" style={{ background: '#ffffff', maxHeight: '120px', overflowY: 'auto', marginTop: '2px' }}>
+        {moveCount === 0 ? (
+          <div style={{ padding: '1px 4px', color: '#808080' }}>No moves recorded yet</div>
+        ) : session.moves.map((move, index) => (
+          <div key={index} style={{ padding: '1px 4px', color: move.isMistake ? '#c00000' : undefined }}>
+            {index + 1}. ({move.x}, {move.y}, {move.z}){move.isMistake ? ' - mistake' : ''}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '2px', marginTop: '4px' }}>
+        <button onClick={onRestart} style={{ minWidth: 0, flex: 1 }} title="Start again from a full cube">Restart</button>
+        <button
+          onClick={onExportLog}
+          disabled={moveCount === 0}
+          style={{ minWidth: 0, flex: 1 }}
+          title={session.status === 'won' ? 'Download the moves as a reference solution' : 'Download the recorded moves'}
+        >
+          Export log
+        </button>
+        <button onClick={onStop} style={{ minWidth: 0, flex: 1 }} title="Go back to editing">Stop</button>
+      </div>
+    </div>
+  );
+}
+
+export default PlayTestPanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import Dialog from './Dialog';
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function RecoveryDialog({ snapshots, onRestore, onDelete, onDiscard, onClose }) {
+  const [selectedId, setSelectedId] = useState(snapshots.length > 0 ? snapshots[0].id : null);
+  const selected = snapshots.find(snapshot => snapshot.id === selectedId);
+
+  // Moves the selection to the next snapshot in the list, or the previous one
+  // when the last is deleted.
+  const deleteSelected = () => {
+    const index = snapshots.indexOf(selected);
+    const next = snapshots[index + 1] || snapshots[index - 1];
+    setSelectedId(next ? next.id : null);
+    onDelete(selected);
+  };
+
+  return (
+    <Dialog
+      title="Recover unsaved work"
+      onClose={onClose}
+      width="440px"
+      buttons={[
+        { label: 'Restore', onClick: () => onRestore(selected), isDefault: true, disabled: !selected },
+        { label: 'Delete', onClick: deleteSelected, disabled: !selected, title: 'Delete the selected snapshot' },
+        { label: 'Discard all', onClick: onDiscard, title: 'Delete every recovery snapshot' },
+        { label: 'Start new', onClick: onClose, title: 'Keep the snapshots and start with a full cube' }
+      ]}
+    >
+      <p style={{ margin: '0 0 6px 0' }}>
+        The editor found {snapshots.length} auto-saved snapshot{snapshots.length === 1 ? '' : 's'} from earlier sessions.
+        Pick one to restore:
+      </p>
+
+      <div className="sunken-panel" style={{
+        maxHeight: '320px',
+        overflowY: 'auto',
+        background: '#ffffff'
+      }}>
+        {snapshots.map(snapshot => {
+          const isSelected = snapshot.id === selectedId;
+          return (
+            <div
+              key={snapshot.id}
+              onClick={() => setSelectedId(snapshot.id)}
+              onDoubleClick={() => onRestore(snapshot)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '2px 4px',
+                cursor: 'default',
+                background: isSelected ? '#000080' : 'transparent',
+                color: isSelected ? '#ffffff' : '#000000'
+              }}
+            >
+              {snapshot.thumbnail ? (
+                <img src={snapshot.thumbnail} alt="" width={48} height={48} style={{ background: '#008080' }} />
+              ) : (
+                <div style={{ width: 48, height: 48, background: '#008080' }} />
+              )}
+              <div>
+                <div style={{ fontWeight: 'bold' }}>{snapshot.fileName}</div>
+                <div>{formatTimestamp(snapshot.updatedAt)}</div>
+                <div>{snapshot.gridSize}³, {snapshot.voxelCount} voxels</div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Dialog>
+  );
+}
+
+export default RecoveryDialog;
@@ -0,0 +1,211 @@
+import { SUPPORTED_GRID_SIZES, VOXEL_ENCODINGS, decodeVoxelDataString, validateJSONFormat } from './ShapeSerializer';
+import { CONNECTIVITY_TYPES } from './ShapeValidator';
+
+// Explains what is wrong with a shape file in terms a designer can act on, and
+// proposes a repair where one is safe. Each problem carries the repair that
+// fixes it (or null), and repairShapeJSON applies them in order.
+
+const DEFAULT_DIFFICULTY = 5;
+const DEFAULT_MAX_MOVES = 50;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function describeParseError(text, error) {
+  // Chrome and Node report "at position N"; Firefox reports line and column.
+  const match = /position (\d+)/.exec(error.message);
+  if (!match) return error.message;
+
+  const position = Number(match[1]);
+  const before = text.slice(0, position);
+  const line = before.split('\n').length;
+  const column = position - before.lastIndexOf('\n');
+  return `${error.message} (line ${line}, column ${column})`;
+}
+
+function findNearestGridSizes(length) {
+  const smaller = SUPPORTED_GRID_SIZES.filter(size => size * size * size < length);
+  const larger = SUPPORTED_GRID_SIZES.filter(size => size * size * size > length);
+  return {
+    below: smaller.length > 0 ? smaller[smaller.length - 1] : null,
+    above: larger.length > 0 ? larger[0] : null
+  };
+}
+
+function resizeRepair(length, size) {
+  const target = size * size * size;
+  return target >= length
+    ? { label: `Pad with ${plural(target - length, 'empty cell')} to ${size}³`, apply: (json) => ({ ...json, voxelDataString: json.voxelDataString.padEnd(target, '0') }) }
+    : { label: `Truncate ${plural(length - target, 'cell')} to ${size}³`, apply: (json) => ({ ...json, voxelDataString: json.voxelDataString.slice(0, target) }) };
+}
+
+// Returns the grid size the voxel data has once its repairs are applied, or
+// null when it cannot be repaired.
+function diagnoseVoxelString(voxelDataString, storedGridSize, problems) {
+  let cleaned = voxelDataString;
+  const badIndex = voxelDataString.search(/[^01]/);
+
+  if (badIndex !== -1) {
+    const badChar = voxelDataString[badIndex];
+    const badCount = (voxelDataString.match(/[^01]/g) || []).length;
+    const onlyWhitespace = /^[01\s]*$/.test(voxelDataString);
+    const shown = /\s/.test(badChar) ? JSON.stringify(badChar) : `'${badChar}'`;
+
+    cleaned = onlyWhitespace ? voxelDataString.replace(/\s/g, '') : voxelDataString.replace(/[^01]/g, '0');
+    problems.push({
+      field: 'voxelDataString',
+      message: `voxelDataString may only contain 0 and 1 - first bad character is ${shown} at position ` +
+        `${badIndex + 1} (${plural(badCount, 'bad character')} in total)`,
+      repair: onlyWhitespace
+        ? { label: `Remove ${plural(badCount, 'whitespace character')}`, apply: (json) => ({ ...json, voxelDataString: json.voxelDataString.replace(/\s/g, '') }) }
+        : { label: `Replace ${plural(badCount, 'bad character')} with 0 (empty)`, apply: (json) => ({ ...json, voxelDataString: json.voxelDataString.replace(/[^01]/g, '0') }) }
+    });
+  }
+
+  const length = cleaned.length;
+  const cubeRoot = Math.round(Math.cbrt(length));
+  if (cubeRoot * cubeRoot * cubeRoot === length && length > 0) return cubeRoot;
+
+  const { below, above } = findNearestGridSizes(length);
+  const padCells = above ? above * above * above - length : Infinity;
+  const cutCells = below ? length - below * below * below : Infinity;
+  const candidates = [below, above].filter(size => size).map(size => `${size}³ = ${size * size * size}`).join(' or ');
+
+  // A legacy file that still stores its gridSize says which size was meant.
+  // Otherwise prefer whichever touches fewer cells; padding adds empty cells at
+  // the end, truncating drops the trailing ones.
+  let targetSize = null;
+  if (SUPPORTED_GRID_SIZES.includes(storedGridSize)) {
+    targetSize = storedGridSize;
+  } else if (padCells !== Infinity || cutCells !== Infinity) {
+    targetSize = padCells <= cutCells ? above : below;
+  }
+
+  problems.push({
+    field: 'voxelDataString',
+    message: `voxelDataString has ${length} cells, which is not a cube - the nearest grid sizes are ${candidates}`,
+    repair: targetSize ? resizeRepair(length, targetSize) : null
+  });
+  return targetSize;
+}
+
+// Encoded data cannot be patched character by character, so problems with it
+// are reported without a repair.
+function diagnoseEncodedVoxels(jsonData, problems) {
+  const encoding = jsonData.voxelDataEncoding;
+  if (!VOXEL_ENCODINGS.includes(encoding)) {
+    problems.push({
+      field: 'voxelDataEncoding',
+      message: `voxelDataEncoding ${JSON.stringify(encoding)} is not one of ${VOXEL_ENCODINGS.join(', ')}`,
+      repair: null
+    });
+    return null;
+  }
+
+  let binaryString;
+  try {
+    binaryString = decodeVoxelDataString(jsonData.voxelDataString, encoding);
+  } catch (error) {
+    problems.push({ field: 'voxelDataString', message: `Cannot decode ${encoding} voxel data: ${error.message}`, repair: null });
+    return null;
+  }
+
+  const cubeRoot = Math.round(Math.cbrt(binaryString.length));
+  if (cubeRoot * cubeRoot * cubeRoot === binaryString.length && binaryString.length > 0) return cubeRoot;
+
+  problems.push({
+    field: 'voxelDataString',
+    message: `Decoded ${encoding} voxel data has ${binaryString.length} cells, which is not a cube`,
+    repair: null
+  });
+  return null;
+}
+
+function diagnoseRange(jsonData, field, min, max, fallback, problems) {
+  const value = jsonData[field];
+  if (Number.isInteger(value) && value >= min && value <= max) return;
+
+  let message;
+  let fixed;
+  if (value === undefined || value === null) {
+    message = `${field} is missing`;
+    fixed = fallback;
+  } else if (typeof value !== 'number' || Number.isNaN(value)) {
+    const parsed = parseInt(value, 10);
+    message = `${field} must be a number, got ${JSON.stringify(value)}`;
+    fixed = Number.isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+  } else {
+    message = `${field} is ${value}, outside the allowed ${min}-${max}`;
+    fixed = Math.min(max, Math.max(min, Math.round(value)));
+  }
+
+  problems.push({
+    field,
+    message,
+    repair: { label: `Set ${field} to ${fixed}`, apply: (json) => ({ ...json, [field]: fixed }) }
+  });
+}
+
+export function diagnoseShapeFile(text) {
+  const problems = [];
+  let jsonData;
+
+  try {
+    jsonData = JSON.parse(text);
+  } catch (error) {
+    problems.push({ field: 'file', message: `The file is not valid JSON: ${describeParseError(text, error)}`, repair: null });
+    return { jsonData: null, problems, canRepair: false };
+  }
+
+  if (typeof jsonData !== 'object' || jsonData === null || Array.isArray(jsonData)) {
+    problems.push({ field: 'file', message: 'The file must contain a JSON object', repair: null });
+    return { jsonData: null, problems, canRepair: false };
+  }
+
+  if (typeof jsonData.voxelDataString !== 'string') {
+    problems.push({ field: 'voxelDataString', message: 'voxelDataString is missing or not a string', repair: null });
+  } else {
+    const isEncoded = jsonData.voxelDataEncoding !== undefined && jsonData.voxelDataEncoding !== 'binary';
+    const gridSize = isEncoded
+      ? diagnoseEncodedVoxels(jsonData, problems)
+      : diagnoseVoxelString(jsonData.voxelDataString, jsonData.gridSize, problems);
+    if (gridSize && jsonData.gridSize !== undefined && jsonData.gridSize !== gridSize) {
+      problems.push({
+        field: 'gridSize',
+        message: `Legacy gridSize ${JSON.stringify(jsonData.gridSize)} does not match the ${gridSize}³ grid in voxelDataString`,
+        repair: { label: 'Remove gridSize - the size is detected from the voxel data', apply: ({ gridSize: removed, ...json }) => json }
+      });
+    }
+  }
+
+  if (jsonData.shapeName !== undefined && typeof jsonData.shapeName !== 'string') {
+    problems.push({
+      field: 'shapeName',
+      message: `Legacy shapeName must be text, got ${JSON.stringify(jsonData.shapeName)}`,
+      repair: { label: 'Remove shapeName - the file name is used instead', apply: ({ shapeName: removed, ...json }) => json }
+    });
+  }
+
+  diagnoseRange(jsonData, 'difficulty', 1, 10, DEFAULT_DIFFICULTY, problems);
+  diagnoseRange(jsonData, 'maxMoves', 1, 999, DEFAULT_MAX_MOVES, problems);
+
+  if (jsonData.connectivity !== undefined && !CONNECTIVITY_TYPES.includes(jsonData.connectivity)) {
+    problems.push({
+      field: 'connectivity',
+      message: `connectivity ${JSON.stringify(jsonData.connectivity)} is not one of ${CONNECTIVITY_TYPES.join(', ')}`,
+      repair: { label: 'Use face connectivity', apply: (json) => ({ ...json, connectivity: 'face' }) }
+    });
+  }
+
+  return { jsonData, problems, canRepair: problems.length > 0 && problems.every(problem => problem.repair) };
+}
+
+export function repairShapeJSON(diagnosis) {
+  const repaired = diagnosis.problems.reduce((json, problem) => problem.repair.apply(json), diagnosis.jsonData);
+  const formatValidation = validateJSONFormat(repaired);
+  if (!formatValidation.isValid) {
+    throw new Error(`Repair did not produce a valid file:\n${formatValidation.errors.join('\n')}`);
+  }
+  return repaired;
+}
@@ -0,0 +1,128 @@
+import { findConnectedComponents, getNeighbors } from './ShapeValidator';
+import { createGridHelpers } from './SolvabilityChecker';
+
+// Fixes for shapes that fall apart into several pieces. The largest piece is
+// treated as the main body and everything else as floating. Pieces are found
+// with the same face/edge/corner rule the shape is validated against.
+
+export function analyzeComponents(voxelData, gridSize, connectivityType = 'face') {
+  const components = findConnectedComponents(voxelData, gridSize, connectivityType);
+  let mainIndex = 0;
+  components.forEach((component, index) => {
+    if (component.length > components[mainIndex].length) mainIndex = index;
+  });
+
+  return {
+    components,
+    mainComponent: components[mainIndex] || [],
+    floatingComponents: components.filter((component, index) => index !== mainIndex)
+  };
+}
+
+export function deleteFloatingComponents(voxelData, gridSize, connectivityType = 'face') {
+  const grid = createGridHelpers(gridSize);
+  const { floatingComponents } = analyzeComponents(voxelData, gridSize, connectivityType);
+  const newData = [...voxelData];
+  let removedCount = 0;
+
+  floatingComponents.forEach(component => {
+    component.forEach(({ x, y, z }) => {
+      newData[grid.toIndex(x, y, z)] = false;
+      removedCount++;
+    });
+  });
+
+  return { voxelData: newData, removedCount, removedParts: floatingComponents.length };
+}
+
+// Breadth-first search through empty cells from the main body to the nearest
+// floating voxel. Returns the empty cells on that path, or null if none is reachable.
+function findShortestBridge(voxelData, inMainBody, gridSize, connectivityType) {
+  const grid = createGridHelpers(gridSize);
+  const totalCells = gridSize * gridSize * gridSize;
+  const previous = new Int32Array(totalCells).fill(-1);
+  const visited = new Uint8Array(totalCells);
+  const queue = [];
+
+  for (let i = 0; i < totalCells; i++) {
+    if (inMainBody[i]) {
+      visited[i] = 1;
+      queue.push(i);
+    }
+  }
+
+  for (let head = 0; head < queue.length; head++) {
+    const index = queue[head];
+    const { x, y, z } = grid.fromIndex(index);
+
+    for (const [nx, ny, nz] of getNeighbors(x, y, z, connectivityType)) {
+      if (!grid.isInside(nx, ny, nz)) continue;
+      const neighborIndex = grid.toIndex(nx, ny, nz);
+      if (visited[neighborIndex]) continue;
+
+      if (voxelData[neighborIndex]) {
+        const path = [];
+        for (let cell = index; !inMainBody[cell]; cell = previous[cell]) {
+          path.push(cell);
+        }
+        return path;
+      }
+
+      visited[neighborIndex] = 1;
+      previous[neighborIndex] = index;
+      queue.push(neighborIndex);
+    }
+  }
+
+  return null;
+}
+
+// Joins floating parts to the main body one at a time, always taking the bridge
+// that needs the fewest new voxels. Each bridge is optimal on its own; the total
+// is a good approximation rather than a guaranteed minimum.
+export function bridgeComponents(voxelData, gridSize, connectivityType = 'face') {
+  const grid = createGridHelpers(gridSize);
+  const newData = [...voxelData];
+  const addedVoxels = [];
+  let { floatingComponents, mainComponent } = analyzeComponents(newData, gridSize, connectivityType);
+
+  if (floatingComponents.length === 0) {
+    return { voxelData: newData, addedVoxels };
+  }
+
+  const inMainBody = new Uint8Array(newData.length);
+  const markMainBody = (component) => {
+    component.forEach(({ x, y, z }) => {
+      inMainBody[grid.toIndex(x, y, z)] = 1;
+    });
+  };
+  markMainBody(mainComponent);
+
+  while (floatingComponents.length > 0) {
+    const path = findShortestBridge(newData, inMainBody, gridSize, connectivityType);
+    if (!path) break;
+
+    path.forEach(index => {
+      newData[index] = true;
+      inMainBody[index] = 1;
+      addedVoxels.push({
+        x: index % gridSize,
+        y: Math.floor(index / gridSize) % gridSize,
+        z: Math.floor(index / (gridSize * gridSize))
+      });
+    });
+
+    // Fold every floating part the new path touches into the main body.
+    floatingComponents = floatingComponents.filter(component => {
+      const isJoined = component.some(({ x, y, z }) =>
+        getNeighbors(x, y, z, connectivityType).some(([nx, ny, nz]) =>
+          grid.isInside(nx, ny, nz) && inMainBody[grid.toIndex(nx, ny, nz)]
+        )
+      );
+      if (isJoined) markMainBody(component);
+      return !isJoined;
+    });
+  }
+
+  return { voxelData: newData, addedVoxels };
+}
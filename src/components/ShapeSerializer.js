@@ -1,3 +1,12 @@
+import { CONNECTIVITY_TYPES } from './ShapeValidator';
+
+export const SUPPORTED_GRID_SIZES = [4, 5, 6, 7, 8, 10, 12, 16];
+
+// Older Chiselcore files stored these alongside the voxel data. They are still
+// read, but the grid size is detected and the name comes from the file, so
+// exportToJSON never writes them back.
+export const LEGACY_FIELDS = ['shapeName', 'gridSize'];
+
 export function voxelDataToBinaryString(voxelData) {
   return voxelData.map(voxel => voxel ? '1' : '0').join('');
 }
@@ -6,6 +15,77 @@ export function binaryStringToVoxelData(binaryString) {
   return binaryString.split('').map(bit => bit === '1');
 }
 
+// voxelDataString is one '0'/'1' per voxel unless voxelDataEncoding says
+// otherwise. Files without the field stay in the binary form the game already
+// reads, so the compact encodings are opt-in on export.
+//   rle:    runs of "<count>x<bit>" joined by commas, e.g. "60x1,4x0"
+//   base64: the bits packed 8 per byte, first voxel in the highest bit
+export const VOXEL_ENCODINGS = ['binary', 'rle', 'base64'];
+
+// Guards against run counts that would expand to an absurd string.
+const MAX_DECODED_VOXELS = 128 * 128 * 128;
+
+export function encodeBinaryString(binaryString, encoding) {
+  if (encoding === 'rle') {
+    return (binaryString.match(/0+|1+/g) || []).map(run => `${run.length}x${run[0]}`).join(',');
+  }
+  
+  if (encoding === 'base64') {
+    const bytes = new Uint8Array(Math.ceil(binaryString.length / 8));
+    for (let i = 0; i < binaryString.length; i++) {
+      if (binaryString[i] === '1') bytes[i >> 3] |= 0x80 >> (i & 7);
+    }
+    let byteString = '';
+    bytes.forEach(byte => { byteString += String.fromCharCode(byte); });
+    return btoa(byteString);
+  }
+  
+  return binaryString;
+}
+
+// base64 only stores whole bytes, so the voxel count is the cube that fills
+// the last byte - unambiguous for every grid of 2³ and up.
+function findPackedCubeLength(byteCount) {
+  const cubeRoot = Math.floor(Math.cbrt(byteCount * 8));
+  const length = cubeRoot * cubeRoot * cubeRoot;
+  if (length > (byteCount - 1) * 8) return length;
+  throw new Error(`base64 voxel data (${byteCount} bytes) does not hold a whole cube`);
+}
+
+// Throws with a readable message when the encoded data is malformed.
+export function decodeVoxelDataString(voxelDataString, encoding = 'binary') {
+  if (encoding === 'binary') return voxelDataString;
+  
+  if (encoding === 'rle') {
+    if (!/^\d+x[01](,\d+x[01])*$/.test(voxelDataString)) {
+      throw new Error('rle voxel data must be comma-separated runs like 12x1');
+    }
+    const runs = voxelDataString.split(',').map(run => run.split('x'));
+    const length = runs.reduce((total, [count]) => total + parseInt(count, 10), 0);
+    if (length > MAX_DECODED_VOXELS) {
+      throw new Error(`rle voxel data expands to ${length} voxels, more than any grid holds`);
+    }
+    return runs.map(([count, bit]) => bit.repeat(parseInt(count, 10))).join('');
+  }
+  
+  if (encoding === 'base64') {
+    let byteString;
+    try {
+      byteString = atob(voxelDataString);
+    } catch (error) {
+      throw new Error('base64 voxel data is not valid base64');
+    }
+    const length = findPackedCubeLength(byteString.length);
+    let binaryString = '';
+    for (let i = 0; i < length; i++) {
+      binaryString += (byteString.charCodeAt(i >> 3) & (0x80 >> (i & 7))) ? '1' : '0';
+    }
+    return binaryString;
+  }
+  
+  throw new Error(`Unknown voxelDataEncoding "${encoding}"`);
+}
+
 export function detectGridSize(binaryString) {
   const length = binaryString.length;
   const cubeRoot = Math.round(Math.cbrt(length));
@@ -17,21 +97,53 @@ export function detectGridSize(binaryString) {
   throw new Error(`Binary string length (${length}) is not a perfect cube`);
 }
 
-export function exportToJSON(voxelData, metadata) {
-  const binaryString = voxelDataToBinaryString(voxelData);
+// Lists how a readable file differs from the current format. A gridSize that
+// contradicts the voxel data is a format error instead, see validateJSONFormat.
+export function getLegacyFormatNotes(jsonData) {
+  const notes = [];
   
-  return {
-    voxelDataString: binaryString,
+  if (jsonData.shapeName !== undefined) {
+    notes.push(`shapeName ${JSON.stringify(jsonData.shapeName)} is no longer stored - the file name is used as the shape name`);
+  }
+  
+  if (jsonData.gridSize !== undefined) {
+    notes.push(`gridSize ${jsonData.gridSize} is no longer stored - the grid size is detected from voxelDataString`);
+  }
+  
+  return notes;
+}
+
+function getLegacyShapeName(jsonData) {
+  return typeof jsonData.shapeName === 'string' && jsonData.shapeName.trim() ? jsonData.shapeName.trim() : null;
+}
+
+export function exportToJSON(voxelData, metadata, encoding = 'binary') {
+  const binaryString = voxelDataToBinaryString(voxelData);
+  const jsonData = {
+    voxelDataString: encodeBinaryString(binaryString, encoding),
     difficulty: metadata.difficulty || 5,
     maxMoves: metadata.maxMoves || 50
   };
+  
+  if (encoding !== 'binary') {
+    jsonData.voxelDataEncoding = encoding;
+  }
+  
+  // Face connectivity is the original rule, so it is left implicit to keep those
+  // files identical to what older versions of the editor wrote.
+  if (metadata.connectivity && metadata.connectivity !== 'face') {
+    jsonData.connectivity = metadata.connectivity;
+  }
+  
+  return jsonData;
 }
 
 export function importFromJSON(jsonData) {
   console.log('Importing JSON data:', jsonData);
   
-  const voxelData = binaryStringToVoxelData(jsonData.voxelDataString);
-  const gridSize = detectGridSize(jsonData.voxelDataString);
+  const binaryString = decodeVoxelDataString(jsonData.voxelDataString, jsonData.voxelDataEncoding);
+  const voxelData = binaryStringToVoxelData(binaryString);
+  const gridSize = detectGridSize(binaryString);
   
   console.log('Imported voxel data length:', voxelData.length);
   console.log('Detected grid size:', gridSize);
@@ -42,8 +154,11 @@ export function importFromJSON(jsonData) {
     gridSize,
     metadata: {
       difficulty: jsonData.difficulty || 5,
-      maxMoves: jsonData.maxMoves || 50
-    }
+      maxMoves: jsonData.maxMoves || 50,
+      connectivity: jsonData.connectivity || 'face'
+    },
+    name: getLegacyShapeName(jsonData),
+    legacyNotes: getLegacyFormatNotes(jsonData)
   };
 }
 
@@ -94,6 +209,30 @@ export function convertGridSize(voxelData, fromGridSize, toGridSize) {
   return newVoxelData;
 }
 
+export function findVoxelsLostInConversion(voxelData, fromGridSize, toGridSize) {
+  const lostVoxels = [];
+  
+  if (fromGridSize <= toGridSize) {
+    return lostVoxels;
+  }
+  
+  const offset = Math.floor((fromGridSize - toGridSize) / 2);
+  const isKept = (coord) => coord - offset >= 0 && coord - offset < toGridSize;
+  
+  for (let x = 0; x < fromGridSize; x++) {
+    for (let y = 0; y < fromGridSize; y++) {
+      for (let z = 0; z < fromGridSize; z++) {
+        const index = x + y * fromGridSize + z * fromGridSize * fromGridSize;
+        if (voxelData[index] && !(isKept(x) && isKept(y) && isKept(z))) {
+          lostVoxels.push({ x, y, z });
+        }
+      }
+    }
+  }
+  
+  return lostVoxels;
+}
+
 export function importFromJSONWithGridConversion(jsonData, targetGridSize) {
   const importedData = importFromJSON(jsonData);
   
@@ -119,6 +258,8 @@ export function importFromJSONWithGridConversion(jsonData, targetGridSize) {
     voxelData: convertedVoxelData,
     gridSize: targetGridSize,
     metadata: importedData.metadata,
+    name: importedData.name,
+    legacyNotes: importedData.legacyNotes,
     originalGridSize: importedData.gridSize,
     wasConverted: true
   };
@@ -134,20 +275,33 @@ export function validateJSONFormat(jsonData) {
     return { isValid: false, errors };
   }
   
+  let binaryString = null;
   if (!jsonData.voxelDataString || typeof jsonData.voxelDataString !== 'string') {
     errors.push('Missing or invalid voxelDataString field');
+  } else if (jsonData.voxelDataEncoding !== undefined && !VOXEL_ENCODINGS.includes(jsonData.voxelDataEncoding)) {
+    errors.push(`voxelDataEncoding must be one of: ${VOXEL_ENCODINGS.join(', ')}`);
   } else {
-    console.log('voxelDataString length:', jsonData.voxelDataString.length);
+    try {
+      binaryString = decodeVoxelDataString(jsonData.voxelDataString, jsonData.voxelDataEncoding);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  
+  if (binaryString !== null) {
+    console.log('voxelDataString length:', binaryString.length);
     
-    if (!/^[01]+$/.test(jsonData.voxelDataString)) {
+    if (!/^[01]+$/.test(binaryString)) {
       errors.push('voxelDataString must contain only 0 and 1');
     } else {
-      const length = jsonData.voxelDataString.length;
+      const length = binaryString.length;
       const cubeRoot = Math.round(Math.cbrt(length));
       console.log('Length:', length, 'Cube root:', cubeRoot, 'Perfect cube check:', cubeRoot * cubeRoot * cubeRoot === length);
       
       if (cubeRoot * cubeRoot * cubeRoot !== length) {
         errors.push(`voxelDataString length (${length}) is not a perfect cube`);
+      } else if (jsonData.gridSize !== undefined && jsonData.gridSize !== cubeRoot) {
+        errors.push(`gridSize (${jsonData.gridSize}) does not match the ${cubeRoot}³ grid detected from voxelDataString`);
       }
     }
   }
@@ -160,6 +314,14 @@ export function validateJSONFormat(jsonData) {
     errors.push('maxMoves must be an integer from 1 to 999');
   }
   
+  if (jsonData.connectivity !== undefined && !CONNECTIVITY_TYPES.includes(jsonData.connectivity)) {
+    errors.push(`connectivity must be one of: ${CONNECTIVITY_TYPES.join(', ')}`);
+  }
+  
+  if (jsonData.shapeName !== undefined && typeof jsonData.shapeName !== 'string') {
+    errors.push('shapeName must be a string');
+  }
+  
   console.log('Validation errors:', errors);
   
   return {
@@ -0,0 +1,66 @@
+// Small isometric previews drawn on a 2D canvas, cheap enough to make for every
+// auto-save snapshot without spinning up a WebGL context.
+
+const FACE_COLORS = {
+  top: '#7eb4ee',
+  right: '#4a90e2',
+  left: '#356fb0'
+};
+
+const COS_30 = Math.cos(Math.PI / 6);
+
+export function renderShapeThumbnail(voxelData, gridSize, size = 96) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+
+  // The projected cube spans 2·n·cos30 horizontally and 2·n vertically.
+  const scale = (size * 0.9) / (2 * gridSize);
+  const project = (x, y, z) => [
+    size / 2 + (x - z) * COS_30 * scale,
+    size / 2 + ((x + z) / 2 - y) * scale
+  ];
+  const isSolid = (x, y, z) => x >= 0 && y >= 0 && z >= 0 && x < gridSize && y < gridSize && z < gridSize &&
+    !!voxelData[x + y * gridSize + z * gridSize * gridSize];
+
+  const fillFace = (corners, color) => {
+    context.beginPath();
+    corners.forEach(([x, y, z], i) => {
+      const [sx, sy] = project(x, y, z);
+      if (i === 0) context.moveTo(sx, sy);
+      else context.lineTo(sx, sy);
+    });
+    context.closePath();
+    context.fillStyle = color;
+    context.fill();
+    context.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    context.lineWidth = 0.5;
+    context.stroke();
+  };
+
+  // Painter's order: cells further from the viewer (smaller x + y + z) first.
+  const cells = [];
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (isSolid(x, y, z)) cells.push([x, y, z]);
+      }
+    }
+  }
+  cells.sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+
+  cells.forEach(([x, y, z]) => {
+    if (!isSolid(x, y + 1, z)) {
+      fillFace([[x, y + 1, z], [x + 1, y + 1, z], [x + 1, y + 1, z + 1], [x, y + 1, z + 1]], FACE_COLORS.top);
+    }
+    if (!isSolid(x + 1, y, z)) {
+      fillFace([[x + 1, y, z], [x + 1, y + 1, z], [x + 1, y + 1, z + 1], [x + 1, y, z + 1]], FACE_COLORS.right);
+    }
+    if (!isSolid(x, y, z + 1)) {
+      fillFace([[x, y, z + 1], [x + 1, y, z + 1], [x + 1, y + 1, z + 1], [x, y + 1, z + 1]], FACE_COLORS.left);
+    }
+  });
+
+  return canvas.toDataURL('image/png');
+}
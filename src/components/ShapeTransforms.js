@@ -0,0 +1,119 @@
+import { createGridHelpers } from './SolvabilityChecker';
+
+// Whole-shape transforms on a cubic voxel grid. Rotations and mirrors map the
+// cube onto itself, so they never lose voxels; shifts may, unless they wrap.
+
+function mapVoxels(voxelData, gridSize, mapPosition) {
+  const grid = createGridHelpers(gridSize);
+  const newData = new Array(gridSize * gridSize * gridSize).fill(false);
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (!voxelData[grid.toIndex(x, y, z)]) continue;
+        const target = mapPosition(x, y, z);
+        newData[grid.toIndex(target.x, target.y, target.z)] = true;
+      }
+    }
+  }
+  return newData;
+}
+
+// Quarter turns follow the right-hand rule about the positive axis.
+export function rotateShape(voxelData, gridSize, axis, clockwise = false) {
+  const m = gridSize - 1;
+  const turns = clockwise ? 3 : 1;
+  let result = voxelData;
+
+  for (let i = 0; i < turns; i++) {
+    result = mapVoxels(result, gridSize, (x, y, z) => {
+      if (axis === 'x') return { x, y: m - z, z: y };
+      if (axis === 'y') return { x: z, y, z: m - x };
+      return { x: m - y, y: x, z };
+    });
+  }
+
+  return result;
+}
+
+export function mirrorShape(voxelData, gridSize, axis) {
+  const m = gridSize - 1;
+  return mapVoxels(voxelData, gridSize, (x, y, z) => ({
+    x: axis === 'x' ? m - x : x,
+    y: axis === 'y' ? m - y : y,
+    z: axis === 'z' ? m - z : z
+  }));
+}
+
+// Moves every voxel by `delta` cells along `axis`. With wrap, voxels leaving one
+// side re-enter on the other; without it they are dropped and reported in lostVoxels.
+export function shiftShape(voxelData, gridSize, axis, delta, wrap = false) {
+  const grid = createGridHelpers(gridSize);
+  const newData = new Array(gridSize * gridSize * gridSize).fill(false);
+  const lostVoxels = [];
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (!voxelData[grid.toIndex(x, y, z)]) continue;
+
+        const target = { x, y, z };
+        target[axis] += delta;
+
+        if (wrap) {
+          target[axis] = ((target[axis] % gridSize) + gridSize) % gridSize;
+        } else if (target[axis] < 0 || target[axis] >= gridSize) {
+          lostVoxels.push({ x, y, z });
+          continue;
+        }
+
+        newData[grid.toIndex(target.x, target.y, target.z)] = true;
+      }
+    }
+  }
+
+  return { voxelData: newData, lostVoxels };
+}
+
+export function getBoundingBox(voxelData, gridSize) {
+  const grid = createGridHelpers(gridSize);
+  let min = null;
+  let max = null;
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (!voxelData[grid.toIndex(x, y, z)]) continue;
+        if (!min) {
+          min = { x, y, z };
+          max = { x, y, z };
+        } else {
+          min = { x: Math.min(min.x, x), y: Math.min(min.y, y), z: Math.min(min.z, z) };
+          max = { x: Math.max(max.x, x), y: Math.max(max.y, y), z: Math.max(max.z, z) };
+        }
+      }
+    }
+  }
+
+  return min ? { min, max } : null;
+}
+
+// Moves the shape so its bounding box sits in the middle of the grid, rounding
+// toward the origin like convertGridSize does when centering.
+export function centerShape(voxelData, gridSize) {
+  const bounds = getBoundingBox(voxelData, gridSize);
+  if (!bounds) return { voxelData, offset: { x: 0, y: 0, z: 0 } };
+
+  const offset = {};
+  ['x', 'y', 'z'].forEach(axis => {
+    const size = bounds.max[axis] - bounds.min[axis] + 1;
+    offset[axis] = Math.floor((gridSize - size) / 2) - bounds.min[axis];
+  });
+
+  const centeredData = mapVoxels(voxelData, gridSize, (x, y, z) => ({
+    x: x + offset.x,
+    y: y + offset.y,
+    z: z + offset.z
+  }));
+
+  return { voxelData: centeredData, offset };
+}
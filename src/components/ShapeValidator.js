@@ -1,4 +1,12 @@
-export function findConnectedComponents(voxelData, gridSize) {
+export const CONNECTIVITY_TYPES = ['face', 'edge', 'corner'];
+
+export function describeConnectivity(connectivityType) {
+  return connectivityType === 'face' ? 'by faces' :
+         connectivityType === 'edge' ? 'by faces and edges' :
+         'by faces, edges and corners';
+}
+
+export function findConnectedComponents(voxelData, gridSize, connectivityType = 'face') {
   if (!voxelData || gridSize <= 0) return [];
   
   const voxelPositions = [];
@@ -18,15 +26,6 @@ export function findConnectedComponents(voxelData, gridSize) {
   const visited = new Set();
   const components = [];
   
-  const directions = [
-    { x: 1, y: 0, z: 0 },
-    { x: -1, y: 0, z: 0 },
-    { x: 0, y: 1, z: 0 },
-    { x: 0, y: -1, z: 0 },
-    { x: 0, y: 0, z: 1 },
-    { x: 0, y: 0, z: -1 }
-  ];
-  
   for (const voxelPos of voxelPositions) {
     const voxelKey = `${voxelPos.x},${voxelPos.y},${voxelPos.z}`;
     
@@ -39,12 +38,8 @@ export function findConnectedComponents(voxelData, gridSize) {
         const current = queue.shift();
         component.push(current);
         
-        for (const dir of directions) {
-          const neighbor = {
-            x: current.x + dir.x,
-            y: current.y + dir.y,
-            z: current.z + dir.z
-          };
+        for (const [nx, ny, nz] of getNeighbors(current.x, current.y, current.z, connectivityType)) {
+          const neighbor = { x: nx, y: ny, z: nz };
           
           if (neighbor.x >= 0 && neighbor.x < gridSize &&
               neighbor.y >= 0 && neighbor.y < gridSize &&
@@ -68,8 +63,8 @@ export function findConnectedComponents(voxelData, gridSize) {
   return components;
 }
 
-export function getConnectivityDebugInfo(voxelData, gridSize) {
-  const components = findConnectedComponents(voxelData, gridSize);
+export function getConnectivityDebugInfo(voxelData, gridSize, connectivityType = 'face') {
+  const components = findConnectedComponents(voxelData, gridSize, connectivityType);
   const floatingVoxels = [];
   
   if (components.length > 1) {
@@ -90,7 +85,7 @@ function isValidPosition(x, y, z, gridSize) {
   return x >= 0 && x < gridSize && y >= 0 && y < gridSize && z >= 0 && z < gridSize;
 }
 
-function getNeighbors(x, y, z, connectivityType) {
+export function getNeighbors(x, y, z, connectivityType) {
   const neighbors = [];
   
   const faceDirections = [
@@ -123,6 +118,52 @@ function getNeighbors(x, y, z, connectivityType) {
   return neighbors;
 }
 
+// Empty cells that cannot be reached from outside the grid by stepping through
+// other empty cells, i.e. pockets sealed off by the shape's faces.
+export function findHiddenCavities(voxelData, gridSize) {
+  const reachable = new Uint8Array(gridSize * gridSize * gridSize);
+  const queue = [];
+  
+  for (let x = 0; x < gridSize; x++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let z = 0; z < gridSize; z++) {
+        const onBoundary = x === 0 || y === 0 || z === 0 || x === gridSize - 1 || y === gridSize - 1 || z === gridSize - 1;
+        const index = x + y * gridSize + z * gridSize * gridSize;
+        if (onBoundary && !voxelData[index]) {
+          reachable[index] = 1;
+          queue.push([x, y, z]);
+        }
+      }
+    }
+  }
+  
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y, z] = queue[head];
+    for (const [nx, ny, nz] of getNeighbors(x, y, z, 'face')) {
+      if (!isValidPosition(nx, ny, nz, gridSize)) continue;
+      const neighborIndex = nx + ny * gridSize + nz * gridSize * gridSize;
+      if (!voxelData[neighborIndex] && !reachable[neighborIndex]) {
+        reachable[neighborIndex] = 1;
+        queue.push([nx, ny, nz]);
+      }
+    }
+  }
+  
+  const cavities = [];
+  for (let x = 0; x < gridSize; x++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let z = 0; z < gridSize; z++) {
+        const index = x + y * gridSize + z * gridSize * gridSize;
+        if (!voxelData[index] && !reachable[index]) {
+          cavities.push({ x, y, z });
+        }
+      }
+    }
+  }
+  
+  return cavities;
+}
+
 export function isShapeConnected(voxelData, gridSize, connectivityType = 'face') {
   if (!voxelData || gridSize <= 0) return false;
   
@@ -169,42 +210,222 @@ export function isShapeUniform(voxelData, gridSize, connectivityType = 'face') {
   return isShapeConnected(voxelData, gridSize, connectivityType);
 }
 
-export function validateShape(voxelData, gridSize, connectivityType = 'face') {
-  const voxelCount = voxelData.filter(voxel => voxel).length;
-  const debugInfo = getConnectivityDebugInfo(voxelData, gridSize);
-  
-  const validation = {
-    hasVoxels: voxelCount > 0,
-    isConnected: false,
-    isUniform: false,
-    voxelCount: voxelCount,
-    isValid: false,
-    errors: [],
-    debugInfo: debugInfo,
-    connectivityType: connectivityType
-  };
-  
-  if (!validation.hasVoxels) {
-    validation.errors.push('Shape must have at least one voxel');
-    return validation;
+function getVoxelPositions(voxelData, gridSize) {
+  const positions = [];
+  for (let x = 0; x < gridSize; x++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let z = 0; z < gridSize; z++) {
+        if (voxelData[x + y * gridSize + z * gridSize * gridSize]) {
+          positions.push({ x, y, z });
+        }
+      }
+    }
   }
+  return positions;
+}
+
+// Validation rules are looked up by id from a ruleset, so projects can pick the
+// checks they need and whether a failure blocks saving ('error') or is only
+// reported ('warning'). check() returns null when the shape passes, otherwise
+// a message and the voxel positions to point the designer at.
+const VALIDATION_RULES = {};
+
+export const VALIDATION_SEVERITIES = ['error', 'warning'];
+
+export function registerValidationRule(id, rule) {
+  VALIDATION_RULES[id] = rule;
+}
+
+export function getValidationRuleIds() {
+  return Object.keys(VALIDATION_RULES);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+registerValidationRule('hasVoxels', {
+  label: () => 'Has at least one voxel',
+  check: (shape) => shape.voxelCount > 0 ? null : { message: 'Shape must have at least one voxel' }
+});
+
+registerValidationRule('connected', {
+  label: (options, shape) => `All voxels connected ${describeConnectivity(shape.connectivityType)}`,
+  check: (shape) => {
+    if (shape.voxelCount === 0 || isShapeConnected(shape.voxelData, shape.gridSize, shape.connectivityType)) {
+      return null;
+    }
+    
+    // Everything outside the largest part is what needs fixing.
+    const components = [...shape.debugInfo.components].sort((a, b) => b.length - a.length);
+    const floating = components.slice(1).flat();
+    return {
+      message: `All voxels must be connected ${describeConnectivity(shape.connectivityType)} ` +
+        `(found ${components.length} separate parts, ${floating.length} floating voxels)`,
+      positions: floating
+    };
+  }
+});
+
+registerValidationRule('boundingBox', {
+  label: (options) => `Fits within ${options.size}×${options.size}×${options.size}`,
+  validateOptions: (options) => isPositiveInteger(options.size) ? [] : ['boundingBox needs an integer "size" of at least 1'],
+  check: (shape, options) => {
+    const voxels = getVoxelPositions(shape.voxelData, shape.gridSize);
+    if (voxels.length === 0) return null;
+    
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    voxels.forEach(voxel => {
+      ['x', 'y', 'z'].forEach(axis => { min[axis] = Math.min(min[axis], voxel[axis]); });
+    });
+    
+    const outside = voxels.filter(voxel => ['x', 'y', 'z'].some(axis => voxel[axis] - min[axis] >= options.size));
+    if (outside.length === 0) return null;
+    
+    return {
+      message: `Shape must fit within ${options.size}×${options.size}×${options.size} (${outside.length} voxels stick out)`,
+      positions: outside
+    };
+  }
+});
+
+registerValidationRule('noHiddenCavities', {
+  label: () => 'No hidden internal cavities',
+  check: (shape) => {
+    const cavities = findHiddenCavities(shape.voxelData, shape.gridSize);
+    if (cavities.length === 0) return null;
+    return {
+      message: `${cavities.length} empty cells are sealed inside the shape`,
+      positions: cavities
+    };
+  }
+});
+
+registerValidationRule('removedFromFullCube', {
+  label: () => 'At least one voxel removed from the full cube',
+  check: (shape) => shape.voxelCount < shape.gridSize * shape.gridSize * shape.gridSize
+    ? null
+    : { message: 'Shape is still the full cube - nothing to chisel' }
+});
+
+registerValidationRule('voxelCount', {
+  label: (options) => {
+    if (options.min !== undefined && options.max !== undefined) return `Between ${options.min} and ${options.max} voxels`;
+    return options.min !== undefined ? `At least ${options.min} voxels` : `At most ${options.max} voxels`;
+  },
+  validateOptions: (options) => {
+    const errors = [];
+    if (options.min === undefined && options.max === undefined) errors.push('voxelCount needs "min", "max" or both');
+    if (options.min !== undefined && !Number.isInteger(options.min)) errors.push('voxelCount "min" must be an integer');
+    if (options.max !== undefined && !Number.isInteger(options.max)) errors.push('voxelCount "max" must be an integer');
+    return errors;
+  },
+  check: (shape, options) => {
+    if (options.min !== undefined && shape.voxelCount < options.min) {
+      return { message: `Shape has ${shape.voxelCount} voxels, needs at least ${options.min}` };
+    }
+    if (options.max !== undefined && shape.voxelCount > options.max) {
+      return { message: `Shape has ${shape.voxelCount} voxels, allows at most ${options.max}` };
+    }
+    return null;
+  }
+});
+
+registerValidationRule('touchesFloor', {
+  label: () => 'Touches the floor layer',
+  check: (shape) => {
+    const voxels = getVoxelPositions(shape.voxelData, shape.gridSize);
+    if (voxels.length === 0 || voxels.some(voxel => voxel.y === 0)) return null;
+    
+    // Point at the lowest layer, which is what would have to move down.
+    const lowest = Math.min(...voxels.map(voxel => voxel.y));
+    return {
+      message: `Shape must touch the floor layer (lowest voxels are at Y = ${lowest})`,
+      positions: voxels.filter(voxel => voxel.y === lowest)
+    };
+  }
+});
+
+export const DEFAULT_RULESET = {
+  name: 'Default',
+  rules: [
+    { id: 'hasVoxels', severity: 'error' },
+    { id: 'connected', severity: 'error' },
+    { id: 'noHiddenCavities', severity: 'warning' },
+    { id: 'removedFromFullCube', severity: 'warning' }
+  ]
+};
+
+// Rulesets are plain JSON so a project can keep one next to its shapes:
+// { "name": "...", "rules": [{ "id": "boundingBox", "severity": "error", "size": 5 }, ...] }
+export function parseRuleset(jsonData) {
+  const errors = [];
   
-  validation.isConnected = isShapeConnected(voxelData, gridSize, connectivityType);
-  validation.isUniform = validation.isConnected;
+  if (typeof jsonData !== 'object' || jsonData === null || !Array.isArray(jsonData.rules)) {
+    return { ruleset: null, errors: ['Ruleset must be an object with a "rules" array'] };
+  }
   
-  if (!validation.isConnected) {
-    if (debugInfo.componentCount > 1) {
-      const connectivityDesc = connectivityType === 'face' ? 'by faces' : 
-                             connectivityType === 'edge' ? 'by faces and edges' : 
-                             'by faces, edges and corners';
-      validation.errors.push(`All voxels must be connected ${connectivityDesc} (found ${debugInfo.componentCount} separate parts)`);
-      validation.errors.push(`Floating voxels: ${debugInfo.floatingVoxels.length} voxels in ${debugInfo.componentCount - 1} groups`);
-    } else {
-      validation.errors.push('All voxels must be connected (no floating parts)');
+  const rules = jsonData.rules.map((entry, index) => {
+    const rule = entry && VALIDATION_RULES[entry.id];
+    if (!rule) {
+      errors.push(`Rule ${index + 1}: unknown id "${entry && entry.id}" (known: ${getValidationRuleIds().join(', ')})`);
+      return null;
     }
+    
+    const severity = entry.severity || 'error';
+    if (!VALIDATION_SEVERITIES.includes(severity)) {
+      errors.push(`Rule ${index + 1} (${entry.id}): severity must be "error" or "warning"`);
+    }
+    if (rule.validateOptions) {
+      rule.validateOptions(entry).forEach(error => errors.push(`Rule ${index + 1}: ${error}`));
+    }
+    
+    return { ...entry, severity };
+  });
+  
+  if (errors.length > 0) {
+    return { ruleset: null, errors };
   }
   
-  validation.isValid = validation.hasVoxels && validation.isConnected && validation.isUniform;
+  return {
+    ruleset: { name: typeof jsonData.name === 'string' ? jsonData.name : 'Custom', rules },
+    errors
+  };
+}
+
+export function validateShape(voxelData, gridSize, connectivityType = 'face', ruleset = DEFAULT_RULESET) {
+  const voxelCount = voxelData.filter(voxel => voxel).length;
+  const debugInfo = getConnectivityDebugInfo(voxelData, gridSize, connectivityType);
+  const shape = { voxelData, gridSize, connectivityType, voxelCount, debugInfo };
+  
+  const results = ruleset.rules.map(entry => {
+    const rule = VALIDATION_RULES[entry.id];
+    const problem = rule.check(shape, entry);
+    return {
+      id: entry.id,
+      label: rule.label(entry, shape),
+      severity: entry.severity,
+      passed: !problem,
+      message: problem ? problem.message : null,
+      positions: problem && problem.positions ? problem.positions : []
+    };
+  });
   
-  return validation;
-} 
\ No newline at end of file
+  const failed = results.filter(result => !result.passed);
+  const errors = failed.filter(result => result.severity === 'error').map(result => result.message);
+  const warnings = failed.filter(result => result.severity === 'warning').map(result => result.message);
+  const isConnected = voxelCount > 0 && isShapeConnected(voxelData, gridSize, connectivityType);
+  
+  return {
+    hasVoxels: voxelCount > 0,
+    isConnected,
+    isUniform: isConnected,
+    voxelCount,
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    results,
+    debugInfo,
+    connectivityType
+  };
+}
@@ -0,0 +1,97 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import Dialog from './Dialog';
+import PaintGrid from './PaintGrid';
+import { SILHOUETTE_VIEWS, createSilhouettes, silhouettesFromShape, buildFromSilhouettes, findSilhouetteMismatches } from './SilhouetteModel';
+
+const GRID_SIZE_PX = 208;
+const MISSING_COLOR = '#e05050';
+const VIEW_HINTS = {
+  front: 'looking along Z',
+  right: 'looking along X',
+  top: 'looking down Y'
+};
+
+// Paint the front, side and top profiles; the shape is their intersection.
+// Painted cells the intersection cannot reach are shown in red.
+function SilhouetteEditor({ voxelData, gridSize, onApply, onClose }) {
+  const [silhouettes, setSilhouettes] = useState(() => silhouettesFromShape(voxelData, gridSize));
+  const cellSize = Math.floor(GRID_SIZE_PX / gridSize);
+
+  const result = useMemo(() => buildFromSilhouettes(silhouettes, gridSize), [silhouettes, gridSize]);
+  const mismatches = useMemo(() => findSilhouetteMismatches(result, gridSize, silhouettes), [result, gridSize, silhouettes]);
+  const voxelCount = result.filter(voxel => voxel).length;
+
+  const paintView = useCallback((viewId, cells, value) => {
+    setSilhouettes(prev => {
+      const next = [...prev[viewId]];
+      cells.forEach(({ column, row }) => { next[column + row * gridSize] = value; });
+      return { ...prev, [viewId]: next };
+    });
+  }, [gridSize]);
+
+  const setView = (viewId, value) => {
+    setSilhouettes(prev => ({ ...prev, [viewId]: new Array(gridSize * gridSize).fill(value) }));
+  };
+
+  return (
+    <Dialog
+      title="Build from silhouettes"
+      onClose={onClose}
+      width={`${3 * (gridSize * cellSize + 24) + 40}px`}
+      buttons={[
+        {
+          label: 'Apply to shape',
+          onClick: () => onApply(result, mismatches),
+          isDefault: true,
+          disabled: voxelCount === 0,
+          title: voxelCount === 0 ? 'The silhouettes do not overlap anywhere' : undefined
+        },
+        { label: 'Cancel', onClick: onClose }
+      ]}
+    >
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+        <button onClick={() => setSilhouettes(silhouettesFromShape(voxelData, gridSize))} title="Start from the projections of the current shape">
+          From current shape
+        </button>
+        <button onClick={() => setSilhouettes(createSilhouettes(gridSize, true))}>Fill all</button>
+        <button onClick={() => setSilhouettes(createSilhouettes(gridSize, false))}>Clear all</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        {SILHOUETTE_VIEWS.map(view => {
+          const mismatch = mismatches.find(entry => entry.id === view.id);
+          const missing = new Set(mismatch.missingCells);
+          return (
+            <div key={view.id} style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <strong style={{ flex: 1 }}>{view.label} <span style={{ fontWeight: 'normal', color: '#404040' }}>({VIEW_HINTS[view.id]})</span></strong>
+                <button onClick={() => setView(view.id, true)} style={{ minWidth: 0, padding: '0 4px' }}>Fill</button>
+                <button onClick={() => setView(view.id, false)} style={{ minWidth: 0, padding: '0 4px' }}>Clear</button>
+              </div>
+              <PaintGrid
+                size={gridSize}
+                cellSize={cellSize}
+                isFilled={(column, row) => silhouettes[view.id][column + row * gridSize]}
+                onPaint={(cells, value) => paintView(view.id, cells, value)}
+                getCellColor={(column, row, filled) => filled && missing.has(column + row * gridSize) ? MISSING_COLOR : null}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="sunken-panel" style={{ background: '#ffffff', padding: '2px 4px', marginTop: '6px' }}>
+        <div>{voxelCount} voxels in the resulting shape</div>
+        {mismatches.map(({ id, label, missingCells }) => (
+          <div key={id} style={{ color: missingCells.length > 0 ? '#800000' : '#006000' }}>
+            {missingCells.length > 0
+              ? `❌ ${label}: ${missingCells.length} painted cells are not reached - the other silhouettes carve them away`
+              : `✅ ${label}: the result matches the drawing`}
+          </div>
+        ))}
+      </div>
+    </Dialog>
+  );
+}
+
+export default SilhouetteEditor;
@@ -0,0 +1,59 @@
+import { BLUEPRINT_VIEWS, projectShape } from './BlueprintProjection';
+
+// Builds a shape from three drawn silhouettes. Every voxel whose projection
+// falls inside all three drawings is kept, which gives the largest shape that
+// fits the drawings (the "visual hull"). Silhouettes use the blueprint views'
+// orientation, so they match what the Blueprint panel shows for the result.
+
+export const SILHOUETTE_VIEWS = ['front', 'right', 'top'].map(id => BLUEPRINT_VIEWS.find(view => view.id === id));
+
+// A silhouette is one boolean per view cell, indexed column + row * gridSize.
+export function createSilhouettes(gridSize, filled = false) {
+  const silhouettes = {};
+  SILHOUETTE_VIEWS.forEach(view => {
+    silhouettes[view.id] = new Array(gridSize * gridSize).fill(filled);
+  });
+  return silhouettes;
+}
+
+export function silhouettesFromShape(voxelData, gridSize) {
+  const silhouettes = {};
+  SILHOUETTE_VIEWS.forEach(view => {
+    silhouettes[view.id] = projectShape(voxelData, gridSize, view).depths.map(depth => depth >= 0);
+  });
+  return silhouettes;
+}
+
+// Starts from a full cube and carves away every line of sight that falls on
+// an unpainted cell of any view.
+export function buildFromSilhouettes(silhouettes, gridSize) {
+  const voxelData = new Array(gridSize * gridSize * gridSize).fill(true);
+
+  SILHOUETTE_VIEWS.forEach(view => {
+    silhouettes[view.id].forEach((painted, cellIndex) => {
+      if (painted) return;
+      const column = cellIndex % gridSize;
+      const row = Math.floor(cellIndex / gridSize);
+      for (let depth = 0; depth < gridSize; depth++) {
+        const { x, y, z } = view.toCell(column, row, depth, gridSize);
+        voxelData[x + y * gridSize + z * gridSize * gridSize] = false;
+      }
+    });
+  });
+
+  return voxelData;
+}
+
+// The intersection can only lose cells, never add them: a painted cell whose
+// line of sight is carved away entirely by the other views is missing from the
+// result. Returns one entry per view with those cells.
+export function findSilhouetteMismatches(voxelData, gridSize, silhouettes) {
+  return SILHOUETTE_VIEWS.map(view => {
+    const { depths } = projectShape(voxelData, gridSize, view);
+    const missingCells = [];
+    silhouettes[view.id].forEach((painted, cellIndex) => {
+      if (painted && depths[cellIndex] < 0) missingCells.push(cellIndex);
+    });
+    return { id: view.id, label: view.label, missingCells };
+  });
+}
@@ -1,47 +1,63 @@
-import React, { useRef, useState, useCallback, useEffect } from 'react';
+import React, { useRef, useState, useCallback, useEffect, useLayoutEffect, useMemo } from 'react';
 import { Canvas, useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { raycastVoxelGrid } from './VoxelRaycast';
+import { getSymmetricPositions, expandSymmetricPositions } from './Symmetry';
+import { BRUSH_TOOLS, TWO_POINT_BRUSHES, getBrushCells, getLineCells, isOnSameFacePlane } from './BrushShapes';
+import { createSelection, extendSelection, clampSelectionOffset, offsetSelection, getSelectedPositions, getClipboardPlacement } from './VoxelSelection';
 
-function calculateAdjacentPosition(intersection, gridSize) {
-  const { point, face } = intersection;
-  const { position } = intersection.object.userData;
-  
-  if (!face) return null;
-  
-  const normal = face.normal.clone();
-  
-  const adjacentPos = {
-    x: Math.round(position[0] + normal.x),
-    y: Math.round(position[1] + normal.y), 
-    z: Math.round(position[2] + normal.z)
+const VOXEL_COLOR = 0x4a90e2;
+const HIGHLIGHT_COLOR = 0xff4444;
+// Floating parts cycle through these so neighbouring parts stay distinguishable.
+const FLOATING_COLORS = [0xff8c00, 0xd040d0, 0x20b050, 0xe0c000, 0x00b0b0, 0x8060ff];
+const AXIS_COLORS = { x: 0xff4444, y: 0x44cc44, z: 0x4488ff };
+const SLICE_COLOR = 0x00e0ff;
+const CONTEXT_MENU_CLICK_DISTANCE = 5;
+
+function getGridCenter(gridSize) {
+  const center = (gridSize - 1) / 2;
+  return new THREE.Vector3(center, center, center);
+}
+
+// Distances were tuned for the original 7³ grid and scale linearly from there.
+function getCameraLimits(gridSize) {
+  return {
+    minDistance: gridSize * 0.7,
+    maxDistance: gridSize * 4.3,
+    defaultOffset: gridSize * 1.3
   };
-  
-  if (adjacentPos.x >= 0 && adjacentPos.x < gridSize &&
-      adjacentPos.y >= 0 && adjacentPos.y < gridSize &&
-      adjacentPos.z >= 0 && adjacentPos.z < gridSize) {
-    return adjacentPos;
-  }
-  
-  return null;
 }
 
-function CameraSetup() {
+function CameraSetup({ gridSize }) {
   const { camera } = useThree();
   
   useEffect(() => {
-    const gridCenter = new THREE.Vector3(3, 3, 3);
+    const gridCenter = getGridCenter(gridSize);
+    const { defaultOffset } = getCameraLimits(gridSize);
+    camera.position.set(
+      gridCenter.x + defaultOffset,
+      gridCenter.y + defaultOffset,
+      gridCenter.z + defaultOffset
+    );
     camera.lookAt(gridCenter);
-  }, [camera]);
+  }, [camera, gridSize]);
   
   return null;
 }
 
-function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverChange, voxelMode }) {
-  const { camera, gl, scene } = useThree();
+function VoxelInteractionSystem({ 
+  gridSize, voxelData, onVoxelAction, onHoverChange, voxelMode,
+  activeTool, selection, onSelectionChange, isPasting, onPasteCommit,
+  gizmoRef, onMoveDrag, onMoveCommit, onContextMenu, onStrokeStart, onStrokeMove, onStrokeEnd, onBrushClick
+}) {
+  const { camera, gl } = useThree();
   const raycaster = useRef(new THREE.Raycaster());
   const [isDragging, setIsDragging] = useState(false);
   const [isRotating, setIsRotating] = useState(false);
   const [lastMouse, setLastMouse] = useState({ x: 0, y: 0 });
+  const pressStart = useRef({ x: 0, y: 0 });
+  const selectionDrag = useRef(null);
+  const isPainting = useRef(false);
 
   const performRaycast = useCallback((clientX, clientY) => {
     const canvas = gl.domElement;
@@ -54,35 +70,81 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
 
     raycaster.current.setFromCamera(mouse, camera);
     
-    const voxelMeshes = [];
-    scene.traverse((child) => {
-      if (child.isMesh && child.userData.isVoxel) {
-        voxelMeshes.push(child);
-      }
-    });
-
-    const intersections = raycaster.current.intersectObjects(voxelMeshes);
+    const { origin, direction } = raycaster.current.ray;
+    const hit = raycastVoxelGrid(origin, direction, gridSize, (x, y, z) => 
+      voxelData[x + y * gridSize + z * gridSize * gridSize]
+    );
     
-    if (intersections.length > 0) {
-      const intersection = intersections[0];
-      const position = intersection.object.userData.position;
-      
+    if (hit) {
       return {
-        intersection,
-        voxelPosition: position,
-        adjacentPosition: calculateAdjacentPosition(intersection, gridSize)
+        voxelPosition: [hit.voxel.x, hit.voxel.y, hit.voxel.z],
+        adjacentPosition: hit.adjacent,
+        normal: hit.normal
       };
     }
     
     return null;
-  }, [camera, gl, scene, gridSize]);
+  }, [camera, gl, gridSize, voxelData]);
+
+  // Brushes work on the empty cell in front of the hovered face when adding and on
+  // the hovered voxel itself when removing, just like single clicks do.
+  const getBrushTarget = useCallback((raycastResult) => {
+    if (!raycastResult) return null;
+    if (voxelMode === 'remove') {
+      const [x, y, z] = raycastResult.voxelPosition;
+      return { x, y, z };
+    }
+    return raycastResult.adjacentPosition;
+  }, [voxelMode]);
+
+  const pickGizmoHandle = useCallback((clientX, clientY) => {
+    if (!gizmoRef || !gizmoRef.current) return null;
+    
+    const rect = gl.domElement.getBoundingClientRect();
+    const mouse = {
+      x: ((clientX - rect.left) / rect.width) * 2 - 1,
+      y: -((clientY - rect.top) / rect.height) * 2 + 1
+    };
+    raycaster.current.setFromCamera(mouse, camera);
+    
+    const intersections = raycaster.current.intersectObjects(gizmoRef.current.children, true);
+    const handle = intersections.find(intersection => intersection.object.userData.gizmoAxis);
+    return handle ? handle.object.userData.gizmoAxis : null;
+  }, [camera, gl, gizmoRef]);
+
+  // Converts a mouse drag into whole cells along one axis by projecting that axis
+  // onto the screen at the selection's center.
+  const getDragCells = useCallback((axis, startMouse, clientX, clientY) => {
+    const rect = gl.domElement.getBoundingClientRect();
+    const center = new THREE.Vector3(
+      (selection.min.x + selection.max.x) / 2,
+      (selection.min.y + selection.max.y) / 2,
+      (selection.min.z + selection.max.z) / 2
+    );
+    const tip = center.clone();
+    tip[axis] += 1;
+    
+    center.project(camera);
+    tip.project(camera);
+    
+    const axisScreen = {
+      x: (tip.x - center.x) * rect.width / 2,
+      y: -(tip.y - center.y) * rect.height / 2
+    };
+    const axisLengthSq = axisScreen.x * axisScreen.x + axisScreen.y * axisScreen.y;
+    if (axisLengthSq < 1e-6) return 0;
+    
+    const mouseDelta = { x: clientX - startMouse.x, y: clientY - startMouse.y };
+    const cells = Math.round((mouseDelta.x * axisScreen.x + mouseDelta.y * axisScreen.y) / axisLengthSq);
+    return clampSelectionOffset(selection, axis, cells, gridSize);
+  }, [camera, gl, selection, gridSize]);
 
   const handlePointerMove = useCallback((event) => {
     if (isRotating) {
       const deltaX = event.clientX - lastMouse.x;
       const deltaY = event.clientY - lastMouse.y;
       
-      const gridCenter = new THREE.Vector3(3, 3, 3);
+      const gridCenter = getGridCenter(gridSize);
       const spherical = new THREE.Spherical();
       spherical.setFromVector3(camera.position.clone().sub(gridCenter));
       
@@ -98,13 +160,39 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
       camera.lookAt(gridCenter);
       
       setLastMouse({ x: event.clientX, y: event.clientY });
+    } else if (isPainting.current) {
+      // The button was released somewhere the pointerup never reached us.
+      if (event.buttons === 0) {
+        isPainting.current = false;
+        onStrokeEnd();
+        return;
+      }
+      const raycastResult = performRaycast(event.clientX, event.clientY);
+      const target = getBrushTarget(raycastResult);
+      if (target) {
+        onStrokeMove(target, raycastResult.normal);
+        onHoverChange(target, voxelMode);
+      }
+    } else if (selectionDrag.current && selectionDrag.current.type === 'move') {
+      const { axis, startMouse } = selectionDrag.current;
+      const cells = getDragCells(axis, startMouse, event.clientX, event.clientY);
+      selectionDrag.current.cells = cells;
+      onMoveDrag({ x: 0, y: 0, z: 0, [axis]: cells });
+    } else if (selectionDrag.current && selectionDrag.current.type === 'box') {
+      const raycastResult = performRaycast(event.clientX, event.clientY);
+      if (raycastResult) {
+        const [x, y, z] = raycastResult.voxelPosition;
+        onSelectionChange(createSelection(selectionDrag.current.anchor, { x, y, z }));
+      }
     } else {
       const raycastResult = performRaycast(event.clientX, event.clientY);
       if (raycastResult) {
         const { voxelPosition, adjacentPosition } = raycastResult;
         
         let position;
-        if (voxelMode === 'remove' && voxelPosition) {
+        if (isPasting) {
+          position = adjacentPosition;
+        } else if ((voxelMode === 'remove' || activeTool === 'select') && voxelPosition) {
           position = { x: voxelPosition[0], y: voxelPosition[1], z: voxelPosition[2] };
         } else {
           position = adjacentPosition;
@@ -117,20 +205,92 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
         onHoverChange(null, voxelMode);
       }
     }
-  }, [camera, isRotating, lastMouse, performRaycast, onHoverChange, voxelMode]);
+  }, [camera, gridSize, isRotating, lastMouse, performRaycast, onHoverChange, voxelMode, activeTool, isPasting,
+      getDragCells, onMoveDrag, onSelectionChange, getBrushTarget, onStrokeMove, onStrokeEnd]);
 
   const handlePointerDown = useCallback((event) => {
     setIsDragging(true);
     setLastMouse({ x: event.clientX, y: event.clientY });
+    pressStart.current = { x: event.clientX, y: event.clientY };
     
     if (event.button === 2) {
       setIsRotating(true);
       event.preventDefault();
+      return;
     }
-  }, []);
+    
+    if (event.button === 0 && activeTool === 'paint') {
+      // Capture the pointer so releasing it outside the canvas still ends the stroke.
+      gl.domElement.setPointerCapture(event.pointerId);
+      isPainting.current = true;
+      const raycastResult = performRaycast(event.clientX, event.clientY);
+      onStrokeStart(getBrushTarget(raycastResult), raycastResult && raycastResult.normal);
+      return;
+    }
+    
+    if (event.button !== 0 || activeTool !== 'select' || isPasting) return;
+    
+    const gizmoAxis = selection ? pickGizmoHandle(event.clientX, event.clientY) : null;
+    if (gizmoAxis) {
+      selectionDrag.current = { type: 'move', axis: gizmoAxis, startMouse: { x: event.clientX, y: event.clientY }, cells: 0 };
+      return;
+    }
+    
+    const raycastResult = performRaycast(event.clientX, event.clientY);
+    if (!raycastResult) {
+      if (!event.shiftKey) onSelectionChange(null);
+      return;
+    }
+    
+    const [x, y, z] = raycastResult.voxelPosition;
+    if (event.shiftKey && selection) {
+      onSelectionChange(extendSelection(selection, { x, y, z }));
+    } else {
+      selectionDrag.current = { type: 'box', anchor: { x, y, z } };
+      onSelectionChange(createSelection({ x, y, z }, { x, y, z }));
+    }
+  }, [gl, activeTool, isPasting, selection, pickGizmoHandle, performRaycast, onSelectionChange, getBrushTarget, onStrokeStart]);
 
   const handlePointerUp = useCallback((event) => {
-    if (!isRotating) {
+    const pressDistance = Math.sqrt(
+      Math.pow(event.clientX - pressStart.current.x, 2) +
+      Math.pow(event.clientY - pressStart.current.y, 2)
+    );
+    
+    if (isPainting.current) {
+      isPainting.current = false;
+      onStrokeEnd();
+    } else if (isRotating) {
+      // A right click that did not orbit the camera opens the context menu instead.
+      if (event.button === 2 && pressDistance < CONTEXT_MENU_CLICK_DISTANCE && onContextMenu) {
+        onContextMenu(event.clientX, event.clientY);
+      }
+    } else if (selectionDrag.current) {
+      const drag = selectionDrag.current;
+      selectionDrag.current = null;
+      
+      if (drag.type === 'move') {
+        onMoveDrag(null);
+        if (drag.cells !== 0) {
+          onMoveCommit({ x: 0, y: 0, z: 0, [drag.axis]: drag.cells });
+        }
+      }
+    } else if (isPasting) {
+      if (pressDistance < 15) {
+        const raycastResult = performRaycast(event.clientX, event.clientY);
+        if (raycastResult && raycastResult.adjacentPosition) {
+          onPasteCommit(raycastResult.adjacentPosition);
+        }
+      }
+    } else if (BRUSH_TOOLS.includes(activeTool)) {
+      if (pressDistance < 15) {
+        const raycastResult = performRaycast(event.clientX, event.clientY);
+        const target = getBrushTarget(raycastResult);
+        if (target) {
+          onBrushClick(target, raycastResult.normal);
+        }
+      }
+    } else if (activeTool === 'voxel') {
       const currentMouse = { x: event.clientX, y: event.clientY };
       const dragDistance = Math.sqrt(
         Math.pow(currentMouse.x - lastMouse.x, 2) + 
@@ -159,18 +319,20 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
     
     setIsDragging(false);
     setIsRotating(false);
-  }, [isRotating, lastMouse, performRaycast, onVoxelAction, voxelMode]);
+  }, [isRotating, lastMouse, performRaycast, onVoxelAction, voxelMode, activeTool, isPasting, onPasteCommit,
+      onMoveDrag, onMoveCommit, onContextMenu, getBrushTarget, onStrokeEnd, onBrushClick]);
 
   const handleWheel = useCallback((event) => {
     const zoomSpeed = 0.5;
     const direction = event.deltaY > 0 ? 1 : -1;
     
-    const gridCenter = new THREE.Vector3(3, 3, 3);
+    const gridCenter = getGridCenter(gridSize);
+    const { minDistance, maxDistance } = getCameraLimits(gridSize);
     const spherical = new THREE.Spherical();
     spherical.setFromVector3(camera.position.clone().sub(gridCenter));
     
-    spherical.radius += direction * zoomSpeed;
-    spherical.radius = Math.max(5, Math.min(30, spherical.radius));
+    spherical.radius += direction * zoomSpeed * gridSize / 7;
+    spherical.radius = Math.max(minDistance, Math.min(maxDistance, spherical.radius));
     
     const newPosition = new THREE.Vector3();
     newPosition.setFromSpherical(spherical);
@@ -180,7 +342,7 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
     camera.lookAt(gridCenter);
     
     event.preventDefault();
-  }, [camera]);
+  }, [camera, gridSize]);
 
   useFrame(() => {
     const canvas = gl.domElement;
@@ -203,30 +365,162 @@ function VoxelInteractionSystem({ gridSize, voxelData, onVoxelAction, onHoverCha
   return null;
 }
 
-function VoxelMesh({ position, isVisible }) {
+function isVoxelEnclosed(voxelData, gridSize, x, y, z) {
+  if (x === 0 || y === 0 || z === 0 || x === gridSize - 1 || y === gridSize - 1 || z === gridSize - 1) {
+    return false;
+  }
+  
+  const layer = gridSize * gridSize;
+  const index = x + y * gridSize + z * layer;
+  return voxelData[index - 1] && voxelData[index + 1] &&
+         voxelData[index - gridSize] && voxelData[index + gridSize] &&
+         voxelData[index - layer] && voxelData[index + layer];
+}
+
+// All voxels share one instanced mesh that is only rewritten when the data changes.
+// Voxels buried on all six sides can never be seen, so they are skipped.
+function VoxelInstances({ gridSize, voxelData, voxelColors }) {
   const meshRef = useRef();
+  const capacity = gridSize * gridSize * gridSize;
+  const geometry = useMemo(() => new THREE.BoxGeometry(1, 1, 1), []);
+  const material = useMemo(() => new THREE.MeshPhongMaterial({ color: 0xffffff }), []);
   
-  const boxGeometry = new THREE.BoxGeometry(1, 1, 1);
-  const material = new THREE.MeshPhongMaterial({ 
-    color: 0x4a90e2,
-    transparent: false
-  });
+  useEffect(() => {
+    return () => {
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [geometry, material]);
+  
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    let count = 0;
+    
+    for (let z = 0; z < gridSize; z++) {
+      for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+          const index = x + y * gridSize + z * gridSize * gridSize;
+          if (!voxelData[index] || isVoxelEnclosed(voxelData, gridSize, x, y, z)) continue;
+          
+          matrix.makeTranslation(x, y, z);
+          mesh.setMatrixAt(count, matrix);
+          color.set(voxelColors && voxelColors.has(index) ? voxelColors.get(index) : VOXEL_COLOR);
+          mesh.setColorAt(count, color);
+          count++;
+        }
+      }
+    }
+    
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) {
+      mesh.instanceColor.needsUpdate = true;
+    }
+  }, [gridSize, voxelData, voxelColors]);
   
   return (
-    <mesh
+    <instancedMesh
+      key={capacity}
       ref={meshRef}
-      position={[position[0], position[1], position[2]]}
-      geometry={boxGeometry}
-      material={material}
-      userData={{ 
-        isVoxel: true, 
-        position: position 
-      }}
-      visible={isVisible}
+      args={[geometry, material, capacity]}
+      frustumCulled={false}
     />
   );
 }
 
+function GhostVoxels({ positions, color, opacity = 0.35, depthTest = true }) {
+  const meshRef = useRef();
+  const capacity = Math.max(1, positions.length);
+  
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    
+    const matrix = new THREE.Matrix4();
+    positions.forEach(({ x, y, z }, i) => {
+      matrix.makeTranslation(x, y, z);
+      mesh.setMatrixAt(i, matrix);
+    });
+    mesh.count = positions.length;
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [positions]);
+  
+  if (positions.length === 0) return null;
+  
+  return (
+    <instancedMesh key={capacity} ref={meshRef} args={[undefined, undefined, capacity]} frustumCulled={false}>
+      <boxGeometry args={[1.01, 1.01, 1.01]} />
+      <meshBasicMaterial color={color} transparent={true} opacity={opacity} depthWrite={false} depthTest={depthTest} />
+    </instancedMesh>
+  );
+}
+
+function SelectionBox({ selection, color = 0xffff00 }) {
+  const geometry = useMemo(() => {
+    const size = [
+      selection.max.x - selection.min.x + 1.04,
+      selection.max.y - selection.min.y + 1.04,
+      selection.max.z - selection.min.z + 1.04
+    ];
+    return new THREE.EdgesGeometry(new THREE.BoxGeometry(...size));
+  }, [selection]);
+  
+  return (
+    <lineSegments
+      geometry={geometry}
+      position={[
+        (selection.min.x + selection.max.x) / 2,
+        (selection.min.y + selection.max.y) / 2,
+        (selection.min.z + selection.max.z) / 2
+      ]}
+    >
+      <lineBasicMaterial color={color} depthTest={false} />
+    </lineSegments>
+  );
+}
+
+// One cone per face of the selection box; dragging a cone moves the selected
+// voxels along that axis.
+function MoveGizmo({ selection, gizmoRef }) {
+  const center = [
+    (selection.min.x + selection.max.x) / 2,
+    (selection.min.y + selection.max.y) / 2,
+    (selection.min.z + selection.max.z) / 2
+  ];
+  
+  const handles = [];
+  ['x', 'y', 'z'].forEach((axis, axisIndex) => {
+    [1, -1].forEach(sign => {
+      const position = [...center];
+      const extent = sign > 0 ? selection.max[axis] - center[axisIndex] : center[axisIndex] - selection.min[axis];
+      position[axisIndex] += sign * (extent + 1.2);
+      
+      const rotation = axis === 'x' ? [0, 0, -sign * Math.PI / 2] :
+                       axis === 'z' ? [sign * Math.PI / 2, 0, 0] :
+                       [sign > 0 ? 0 : Math.PI, 0, 0];
+      
+      handles.push(
+        <mesh
+          key={`${axis}${sign}`}
+          position={position}
+          rotation={rotation}
+          userData={{ gizmoAxis: axis }}
+          renderOrder={10}
+        >
+          <coneGeometry args={[0.3, 0.7, 12]} />
+          <meshBasicMaterial color={AXIS_COLORS[axis]} depthTest={false} />
+        </mesh>
+      );
+    });
+  });
+  
+  return <group ref={gizmoRef}>{handles}</group>;
+}
+
 function HoverIndicator({ position, mode }) {
   if (!position) return null;
   
@@ -256,72 +550,226 @@ function HoverIndicator({ position, mode }) {
   }
 }
 
-function SimpleVoxelViewport({ gridSize, voxelData, onVoxelAction, voxelMode }) {
+function SimpleVoxelViewport({ 
+  gridSize, voxelData, onVoxelAction, voxelMode, highlightedVoxels, floatingComponents,
+  activeTool = 'voxel', selection, onSelectionChange, pasteClipboard, onPasteCommit, onMoveSelection, onContextMenu, symmetry, brushOptions, onBrushCommit,
+  slice, layerView = 'show'
+}) {
   const [hoverState, setHoverState] = useState({ position: null, mode: null });
+  const [moveOffset, setMoveOffset] = useState(null);
+  const gizmoRef = useRef();
+  const isPasting = !!pasteClipboard;
+  const [strokeCells, setStrokeCells] = useState(null);
+  const strokeRef = useRef({ cells: new Map(), last: null });
+  const [brushAnchor, setBrushAnchor] = useState(null);
 
-  const handleHoverChange = useCallback((position, mode) => {
-    setHoverState({ position, mode });
+  useEffect(() => {
+    setBrushAnchor(null);
+  }, [activeTool, voxelMode, gridSize]);
+
+  useEffect(() => {
+    if (!brushAnchor) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setBrushAnchor(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [brushAnchor]);
+
+  const addStrokeCells = useCallback((cells) => {
+    cells.forEach(cell => strokeRef.current.cells.set(`${cell.x},${cell.y},${cell.z}`, cell));
+    setStrokeCells([...strokeRef.current.cells.values()]);
   }, []);
 
-  const getVoxelIndex = useCallback((x, y, z) => {
-    return x + y * gridSize + z * gridSize * gridSize;
-  }, [gridSize]);
+  const handleStrokeStart = useCallback((target, normal) => {
+    strokeRef.current = { cells: new Map(), last: target ? { target, normal } : null };
+    addStrokeCells(target ? [target] : []);
+  }, [addStrokeCells]);
 
-  const voxelMeshes = [];
-  for (let x = 0; x < gridSize; x++) {
-    for (let y = 0; y < gridSize; y++) {
-      for (let z = 0; z < gridSize; z++) {
-        const index = getVoxelIndex(x, y, z);
-        const isVisible = voxelData[index];
-        
-        if (isVisible) {
-          voxelMeshes.push(
-            <VoxelMesh
-              key={`voxel-${x}-${y}-${z}`}
-              position={[x, y, z]}
-              isVisible={isVisible}
-            />
-          );
-        }
-      }
+  // Pointer events arrive in jumps, so a sample is joined to the previous one with
+  // a line when both lie on the same face plane. A jump across a gap or onto
+  // another face is not filled in, so no cells the cursor never touched get painted.
+  const handleStrokeMove = useCallback((target, normal) => {
+    const { last } = strokeRef.current;
+    strokeRef.current.last = { target, normal };
+    addStrokeCells(last && isOnSameFacePlane(last, { target, normal }) ? getLineCells(last.target, target) : [target]);
+  }, [addStrokeCells]);
+
+  const handleStrokeEnd = useCallback(() => {
+    const cells = [...strokeRef.current.cells.values()];
+    strokeRef.current = { cells: new Map(), last: null };
+    setStrokeCells(null);
+    if (cells.length > 0 && onBrushCommit) {
+      onBrushCommit(cells, 'Paint stroke');
     }
-  }
+  }, [onBrushCommit]);
 
-  const gridLines = [];
-  const gridMaterial = new THREE.LineBasicMaterial({ color: 0x666666, opacity: 0.3, transparent: true });
-  
-  for (let i = 0; i <= gridSize; i++) {
-    const points1 = [
-      new THREE.Vector3(i, -0.5, -0.5),
-      new THREE.Vector3(i, -0.5, gridSize - 0.5),
-      new THREE.Vector3(i, gridSize - 0.5, gridSize - 0.5),
-      new THREE.Vector3(i, gridSize - 0.5, -0.5),
-      new THREE.Vector3(i, -0.5, -0.5)
-    ];
+  const handleBrushClick = useCallback((target, normal) => {
+    if (!onBrushCommit) return;
     
-    const points2 = [
-      new THREE.Vector3(-0.5, i, -0.5),
-      new THREE.Vector3(gridSize - 0.5, i, -0.5),
-      new THREE.Vector3(gridSize - 0.5, i, gridSize - 0.5),
-      new THREE.Vector3(-0.5, i, gridSize - 0.5),
-      new THREE.Vector3(-0.5, i, -0.5)
-    ];
+    if (!TWO_POINT_BRUSHES.includes(activeTool)) {
+      onBrushCommit(getBrushCells(activeTool, null, target, brushOptions, gridSize), `${activeTool === 'sphere' ? 'Sphere' : 'Cylinder'} r${brushOptions.radius}`);
+      return;
+    }
     
-    const points3 = [
-      new THREE.Vector3(-0.5, -0.5, i),
-      new THREE.Vector3(gridSize - 0.5, -0.5, i),
-      new THREE.Vector3(gridSize - 0.5, gridSize - 0.5, i),
-      new THREE.Vector3(-0.5, gridSize - 0.5, i),
-      new THREE.Vector3(-0.5, -0.5, i)
-    ];
+    if (!brushAnchor) {
+      const axis = normal && normal.x !== 0 ? 'x' : normal && normal.z !== 0 ? 'z' : 'y';
+      setBrushAnchor({ position: target, axis });
+      return;
+    }
     
-    [points1, points2, points3].forEach((points, idx) => {
-      const geometry = new THREE.BufferGeometry().setFromPoints(points);
-      gridLines.push(
-        <line key={`grid-line-${i}-${idx}`} geometry={geometry} material={gridMaterial} />
-      );
+    const cells = getBrushCells(activeTool, brushAnchor, target, brushOptions, gridSize);
+    const label = activeTool === 'box' ? (brushOptions.hollow ? 'Hollow box' : 'Box') :
+                  activeTool === 'line' ? 'Line' : 'Rectangle';
+    setBrushAnchor(null);
+    onBrushCommit(cells, label);
+  }, [activeTool, brushAnchor, brushOptions, gridSize, onBrushCommit]);
+
+  const brushPreview = useMemo(() => {
+    let cells = null;
+    if (strokeCells) {
+      cells = strokeCells;
+    } else if (BRUSH_TOOLS.includes(activeTool) && hoverState.position) {
+      if (!TWO_POINT_BRUSHES.includes(activeTool)) {
+        cells = getBrushCells(activeTool, null, hoverState.position, brushOptions, gridSize);
+      } else if (brushAnchor) {
+        cells = getBrushCells(activeTool, brushAnchor, hoverState.position, brushOptions, gridSize);
+      }
+    } else if (brushAnchor) {
+      cells = [brushAnchor.position];
+    }
+    return cells ? expandSymmetricPositions(cells, gridSize, symmetry) : null;
+  }, [strokeCells, activeTool, hoverState.position, brushAnchor, brushOptions, gridSize, symmetry]);
+
+  const handleHoverChange = useCallback((position, mode) => {
+    setHoverState(prevState => {
+      const prevPosition = prevState.position;
+      const isSamePosition = prevPosition === position || (prevPosition && position &&
+        prevPosition.x === position.x && prevPosition.y === position.y && prevPosition.z === position.z);
+      // Skip the re-render when the cursor stays over the same cell.
+      return isSamePosition && prevState.mode === mode ? prevState : { position, mode };
     });
-  }
+  }, []);
+
+  const voxelColors = useMemo(() => {
+    const colors = new Map();
+    (floatingComponents || []).forEach((component, index) => {
+      const color = FLOATING_COLORS[index % FLOATING_COLORS.length];
+      component.forEach(({ x, y, z }) => {
+        colors.set(x + y * gridSize + z * gridSize * gridSize, color);
+      });
+    });
+    (highlightedVoxels || []).forEach(({ x, y, z }) => {
+      colors.set(x + y * gridSize + z * gridSize * gridSize, HIGHLIGHT_COLOR);
+    });
+    return colors;
+  }, [floatingComponents, highlightedVoxels, gridSize]);
+
+  // Highlighted empty cells (e.g. sealed cavities) have no voxel to tint, so they
+  // are drawn as ghosts that show through the surrounding shape.
+  const highlightedCells = useMemo(() => (highlightedVoxels || []).filter(({ x, y, z }) =>
+    !voxelData[x + y * gridSize + z * gridSize * gridSize]
+  ), [highlightedVoxels, voxelData, gridSize]);
+
+  // With the slice editor open, layers above the slice can be hidden so the
+  // slice is visible (and clickable) in 3D, or hidden and drawn as ghosts.
+  const isAboveSlice = useCallback((x, y, z) => {
+    return slice && { x, y, z }[slice.axis] > slice.index;
+  }, [slice]);
+
+  const visibleVoxelData = useMemo(() => {
+    if (!slice || layerView === 'show') return voxelData;
+    return voxelData.map((voxel, index) => {
+      if (!voxel) return false;
+      const x = index % gridSize;
+      const y = Math.floor(index / gridSize) % gridSize;
+      const z = Math.floor(index / (gridSize * gridSize));
+      return !isAboveSlice(x, y, z);
+    });
+  }, [voxelData, gridSize, slice, layerView, isAboveSlice]);
+
+  const ghostedVoxels = useMemo(() => {
+    if (!slice || layerView !== 'ghost') return [];
+    const positions = [];
+    voxelData.forEach((voxel, index) => {
+      if (voxel && !visibleVoxelData[index]) {
+        positions.push({ x: index % gridSize, y: Math.floor(index / gridSize) % gridSize, z: Math.floor(index / (gridSize * gridSize)) });
+      }
+    });
+    return positions;
+  }, [voxelData, visibleVoxelData, gridSize, slice, layerView]);
+
+  const sliceBox = useMemo(() => {
+    if (!slice) return null;
+    const min = { x: 0, y: 0, z: 0, [slice.axis]: slice.index };
+    const max = { x: gridSize - 1, y: gridSize - 1, z: gridSize - 1, [slice.axis]: slice.index };
+    return { min, max };
+  }, [slice, gridSize]);
+
+  const hoverPositions = useMemo(() => {
+    if (!hoverState.position) return [];
+    return getSymmetricPositions(hoverState.position, gridSize, symmetry);
+  }, [hoverState.position, gridSize, symmetry]);
+
+  const displayedSelection = useMemo(() => {
+    if (!selection) return null;
+    return moveOffset ? offsetSelection(selection, moveOffset) : selection;
+  }, [selection, moveOffset]);
+
+  const pastePreview = useMemo(() => {
+    if (!pasteClipboard || !hoverState.position) return null;
+    return getClipboardPlacement(pasteClipboard, hoverState.position, gridSize).positions;
+  }, [pasteClipboard, hoverState.position, gridSize]);
+
+  const movePreview = useMemo(() => {
+    if (!selection || !moveOffset) return null;
+    return getSelectedPositions(voxelData, gridSize, selection).map(({ x, y, z }) => ({
+      x: x + moveOffset.x,
+      y: y + moveOffset.y,
+      z: z + moveOffset.z
+    }));
+  }, [selection, moveOffset, voxelData, gridSize]);
+
+  const gridLines = useMemo(() => {
+    const lines = [];
+    const gridMaterial = new THREE.LineBasicMaterial({ color: 0x666666, opacity: 0.3, transparent: true });
+    
+    for (let i = 0; i <= gridSize; i++) {
+      const boundary = i - 0.5;
+      const points1 = [
+        new THREE.Vector3(boundary, -0.5, -0.5),
+        new THREE.Vector3(boundary, -0.5, gridSize - 0.5),
+        new THREE.Vector3(boundary, gridSize - 0.5, gridSize - 0.5),
+        new THREE.Vector3(boundary, gridSize - 0.5, -0.5),
+        new THREE.Vector3(boundary, -0.5, -0.5)
+      ];
+      
+      const points2 = [
+        new THREE.Vector3(-0.5, boundary, -0.5),
+        new THREE.Vector3(gridSize - 0.5, boundary, -0.5),
+        new THREE.Vector3(gridSize - 0.5, boundary, gridSize - 0.5),
+        new THREE.Vector3(-0.5, boundary, gridSize - 0.5),
+        new THREE.Vector3(-0.5, boundary, -0.5)
+      ];
+      
+      const points3 = [
+        new THREE.Vector3(-0.5, -0.5, boundary),
+        new THREE.Vector3(gridSize - 0.5, -0.5, boundary),
+        new THREE.Vector3(gridSize - 0.5, gridSize - 0.5, boundary),
+        new THREE.Vector3(-0.5, gridSize - 0.5, boundary),
+        new THREE.Vector3(-0.5, -0.5, boundary)
+      ];
+      
+      [points1, points2, points3].forEach((points, idx) => {
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        lines.push(
+          <line key={`grid-line-${i}-${idx}`} geometry={geometry} material={gridMaterial} />
+        );
+      });
+    }
+    
+    return lines;
+  }, [gridSize]);
 
   return (
     <Canvas
@@ -339,23 +787,59 @@ function SimpleVoxelViewport({ gridSize, voxelData, onVoxelAction, voxelMode })
       <ambientLight intensity={0.6} />
       <directionalLight position={[10, 10, 10]} intensity={0.8} />
       
-      <CameraSetup />
+      <CameraSetup gridSize={gridSize} />
       
       <VoxelInteractionSystem
         gridSize={gridSize}
-        voxelData={voxelData}
+        voxelData={visibleVoxelData}
         onVoxelAction={onVoxelAction}
         onHoverChange={handleHoverChange}
         voxelMode={voxelMode}
+        activeTool={activeTool}
+        selection={selection}
+        onSelectionChange={onSelectionChange}
+        isPasting={isPasting}
+        onPasteCommit={onPasteCommit}
+        gizmoRef={gizmoRef}
+        onMoveDrag={setMoveOffset}
+        onMoveCommit={onMoveSelection}
+        onContextMenu={onContextMenu}
+        onStrokeStart={handleStrokeStart}
+        onStrokeMove={handleStrokeMove}
+        onStrokeEnd={handleStrokeEnd}
+        onBrushClick={handleBrushClick}
       />
       
-      {voxelMeshes}
+      <VoxelInstances
+        gridSize={gridSize}
+        voxelData={visibleVoxelData}
+        voxelColors={voxelColors}
+      />
       {gridLines}
       
-      <HoverIndicator 
-        position={hoverState.position} 
-        mode={hoverState.mode}
-      />
+      {ghostedVoxels.length > 0 && <GhostVoxels positions={ghostedVoxels} color={VOXEL_COLOR} opacity={0.12} />}
+      {sliceBox && <SelectionBox selection={sliceBox} color={SLICE_COLOR} />}
+      
+      {displayedSelection && <SelectionBox selection={displayedSelection} />}
+      {displayedSelection && activeTool === 'select' && !isPasting && (
+        <MoveGizmo selection={displayedSelection} gizmoRef={gizmoRef} />
+      )}
+      {movePreview && <GhostVoxels positions={movePreview} color={0xffff00} />}
+      {highlightedCells.length > 0 && (
+        <GhostVoxels positions={highlightedCells} color={HIGHLIGHT_COLOR} opacity={0.5} depthTest={false} />
+      )}
+      
+      {pastePreview ? (
+        <GhostVoxels positions={pastePreview} color={0x44ff44} />
+      ) : brushPreview ? (
+        <GhostVoxels positions={brushPreview} color={voxelMode === 'remove' ? 0xff4444 : 0x44ff44} opacity={0.4} />
+      ) : activeTool !== 'select' && hoverPositions.map(position => (
+        <HoverIndicator 
+          key={`hover-${position.x}-${position.y}-${position.z}`}
+          position={position} 
+          mode={hoverState.mode}
+        />
+      ))}
     </Canvas>
   );
 }
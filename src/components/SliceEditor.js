@@ -0,0 +1,151 @@
+import React, { useCallback } from 'react';
+import PaintGrid from './PaintGrid';
+
+const PANEL_SIZE = 256;
+const MAX_CELL_SIZE = 36;
+const AXES = ['x', 'y', 'z'];
+
+// Which world axes run across (column) and up (row) the 2D grid for each slice
+// axis. Y slices are seen from above; X and Z slices from the side with y up.
+const SLICE_LAYOUTS = {
+  y: { column: 'x', row: 'z', flipRow: false },
+  x: { column: 'z', row: 'y', flipRow: true },
+  z: { column: 'x', row: 'y', flipRow: true }
+};
+
+function getSliceCell(axis, index, column, row, gridSize) {
+  const { column: columnAxis, row: rowAxis, flipRow } = SLICE_LAYOUTS[axis];
+  return {
+    [axis]: index,
+    [columnAxis]: column,
+    [rowAxis]: flipRow ? gridSize - 1 - row : row
+  };
+}
+
+// Edits one layer of the shape at a time, which reaches cells the 3D view
+// cannot click (sealed cavities, the inside of thick walls).
+function SliceEditor({ gridSize, voxelData, slice, onSliceChange, layerView, onLayerViewChange, onPaintCells }) {
+  const index = Math.min(slice.index, gridSize - 1);
+  const cellSize = Math.min(MAX_CELL_SIZE, Math.floor(PANEL_SIZE / gridSize));
+  const { column: columnAxis, row: rowAxis, flipRow } = SLICE_LAYOUTS[slice.axis];
+
+  const isFilled = useCallback((cell) => {
+    return voxelData[cell.x + cell.y * gridSize + cell.z * gridSize * gridSize];
+  }, [voxelData, gridSize]);
+
+  const stepLayer = useCallback((delta) => {
+    const next = Math.max(0, Math.min(gridSize - 1, index + delta));
+    if (next !== index) onSliceChange({ ...slice, index: next });
+  }, [gridSize, index, slice, onSliceChange]);
+
+  const handleKeyDown = (event) => {
+    const steps = { ArrowUp: 1, PageUp: 1, ArrowDown: -1, PageDown: -1, Home: -gridSize, End: gridSize };
+    if (steps[event.key] === undefined) return;
+    // Keep arrow keys from also shifting the shape via the global shortcuts.
+    event.preventDefault();
+    event.stopPropagation();
+    stepLayer(steps[event.key]);
+  };
+
+  const toCell = (column, row) => getSliceCell(slice.axis, index, column, row, gridSize);
+
+  const handlePaint = useCallback((cells, value) => {
+    onPaintCells(cells.map(({ column, row }) => getSliceCell(slice.axis, index, column, row, gridSize)), value);
+  }, [onPaintCells, slice.axis, index, gridSize]);
+
+  let filledCount = 0;
+  for (let row = 0; row < gridSize; row++) {
+    for (let column = 0; column < gridSize; column++) {
+      if (isFilled(toCell(column, row))) filledCount++;
+    }
+  }
+
+  // The layer below shows through faintly so walls can be lined up.
+  const getBelowColor = (column, row, filled) => {
+    const cell = toCell(column, row);
+    return !filled && index > 0 && isFilled({ ...cell, [slice.axis]: index - 1 }) ? '#dde6f2' : null;
+  };
+
+  const getCellTitle = (column, row) => {
+    const { x, y, z } = toCell(column, row);
+    return `(${x}, ${y}, ${z})`;
+  };
+
+  return (
+    <div
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      style={{ display: 'flex', flexDirection: 'column', gap: '4px', outline: 'none' }}
+    >
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        Slice {slice.axis.toUpperCase()} = {index} ({filledCount} voxels)
+      </div>
+
+      <div className="field-row">
+        <label>Axis:</label>
+        {AXES.map(axis => (
+          <React.Fragment key={axis}>
+            <input
+              id={`slice-axis-${axis}`}
+              type="radio"
+              name="slice-axis"
+              checked={slice.axis === axis}
+              onChange={() => onSliceChange({ axis, index })}
+            />
+            <label htmlFor={`slice-axis-${axis}`}>{axis.toUpperCase()}</label>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="field-row">
+        <button onClick={() => stepLayer(-1)} disabled={index === 0} style={{ minWidth: 0 }} title="Previous layer (↓ / Page Down)">◀</button>
+        <input
+          type="range"
+          min="0"
+          max={gridSize - 1}
+          value={index}
+          onChange={(e) => onSliceChange({ ...slice, index: parseInt(e.target.value) })}
+          style={{ flex: 1 }}
+        />
+        <button onClick={() => stepLayer(1)} disabled={index === gridSize - 1} style={{ minWidth: 0 }} title="Next layer (↑ / Page Up)">▶</button>
+      </div>
+
+      <div className="field-row">
+        <label htmlFor="slice-layer-view">Layers above:</label>
+        <select id="slice-layer-view" value={layerView} onChange={(e) => onLayerViewChange(e.target.value)}>
+          <option value="show">Show</option>
+          <option value="ghost">Ghost</option>
+          <option value="hide">Hide</option>
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: '2px' }}>
+        <div style={{ color: '#404040', alignSelf: 'center', textAlign: 'center' }}>
+          {rowAxis.toUpperCase()}<br />{flipRow ? '↑' : '↓'}
+        </div>
+        <div>
+          <PaintGrid
+            size={gridSize}
+            cellSize={cellSize}
+            isFilled={(column, row) => isFilled(toCell(column, row))}
+            onPaint={handlePaint}
+            getCellColor={getBelowColor}
+            getCellTitle={getCellTitle}
+          />
+          <div style={{ textAlign: 'center', color: '#404040' }}>{columnAxis.toUpperCase()} →</div>
+        </div>
+      </div>
+
+      <div style={{ color: '#404040' }}>
+        Click to toggle a cell, drag to paint. ↑/↓ step through layers when this panel has focus.
+      </div>
+    </div>
+  );
+}
+
+export default SliceEditor;
@@ -0,0 +1,296 @@
+import { getNeighbors, isShapeConnected, findHiddenCavities } from './ShapeValidator';
+import { isInsideGrid } from './VoxelRaycast';
+
+// Chiselcore puzzles start from a full cube and every move chisels away one voxel.
+// A voxel can only be chiselled while one of its faces is exposed (on the grid
+// boundary or next to an already removed cell), and what is left must stay in one
+// piece. This module replays that process against the target shape to find out
+// whether it can be carved at all and in how many moves.
+
+export const MAX_MOVES_LIMIT = 999;
+const SUGGESTED_SLACK = 0.25;
+
+const FACE_OFFSETS = getNeighbors(0, 0, 0, 'face');
+
+export function createGridHelpers(gridSize) {
+  const layer = gridSize * gridSize;
+  return {
+    toIndex: (x, y, z) => x + y * gridSize + z * layer,
+    fromIndex: (index) => ({
+      x: index % gridSize,
+      y: Math.floor(index / gridSize) % gridSize,
+      z: Math.floor(index / layer)
+    }),
+    isInside: (x, y, z) => isInsideGrid(x, y, z, gridSize)
+  };
+}
+
+// Breadth-first distance from every cell to the nearest target voxel. Removing the
+// cells furthest from the target first keeps the remainder in one piece.
+function computeTargetDistances(voxelData, gridSize, grid) {
+  const distances = new Int32Array(gridSize * gridSize * gridSize).fill(-1);
+  const queue = [];
+
+  voxelData.forEach((isActive, index) => {
+    if (isActive) {
+      distances[index] = 0;
+      queue.push(index);
+    }
+  });
+
+  for (let head = 0; head < queue.length; head++) {
+    const index = queue[head];
+    const { x, y, z } = grid.fromIndex(index);
+    for (const [dx, dy, dz] of FACE_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      const nz = z + dz;
+      if (!grid.isInside(nx, ny, nz)) continue;
+      const neighborIndex = grid.toIndex(nx, ny, nz);
+      if (distances[neighborIndex] === -1) {
+        distances[neighborIndex] = distances[index] + 1;
+        queue.push(neighborIndex);
+      }
+    }
+  }
+
+  return distances;
+}
+
+export function isExposed(present, index, grid) {
+  const { x, y, z } = grid.fromIndex(index);
+  for (const [dx, dy, dz] of FACE_OFFSETS) {
+    const nx = x + dx;
+    const ny = y + dy;
+    const nz = z + dz;
+    if (!grid.isInside(nx, ny, nz) || !present[grid.toIndex(nx, ny, nz)]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Cheap sufficient test: if the neighbours of the cell are still linked to each
+// other inside its 3×3×3 block, no path through the cell is lost by removing it.
+// Block cells are numbered (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9.
+function isLocallyRemovable(present, index, grid, offsets) {
+  const { x, y, z } = grid.fromIndex(index);
+  const block = new Uint8Array(27);
+  const neighbors = [];
+
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if ((dx || dy || dz) && grid.isInside(x + dx, y + dy, z + dz) && present[grid.toIndex(x + dx, y + dy, z + dz)]) {
+          block[(dx + 1) + (dy + 1) * 3 + (dz + 1) * 9] = 1;
+        }
+      }
+    }
+  }
+
+  for (const [dx, dy, dz] of offsets) {
+    const cell = (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9;
+    if (block[cell]) neighbors.push(cell);
+  }
+
+  if (neighbors.length <= 1) return true;
+
+  const visited = new Uint8Array(27);
+  visited[neighbors[0]] = 1;
+  const queue = [neighbors[0]];
+
+  for (let head = 0; head < queue.length; head++) {
+    const cx = queue[head] % 3 - 1;
+    const cy = Math.floor(queue[head] / 3) % 3 - 1;
+    const cz = Math.floor(queue[head] / 9) - 1;
+    for (const [dx, dy, dz] of offsets) {
+      const nx = cx + dx;
+      const ny = cy + dy;
+      const nz = cz + dz;
+      if (Math.abs(nx) > 1 || Math.abs(ny) > 1 || Math.abs(nz) > 1) continue;
+      const cell = (nx + 1) + (ny + 1) * 3 + (nz + 1) * 9;
+      if (block[cell] && !visited[cell]) {
+        visited[cell] = 1;
+        queue.push(cell);
+      }
+    }
+  }
+
+  return neighbors.every(cell => visited[cell]);
+}
+
+// Whether everything else present stays in one piece without the cell.
+export function isGloballyRemovable(present, index, presentCount, grid, offsets) {
+  let start = -1;
+  for (let i = 0; i < present.length; i++) {
+    if (present[i] && i !== index) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return true;
+
+  const visited = new Uint8Array(present.length);
+  visited[start] = 1;
+  visited[index] = 1;
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const { x, y, z } = grid.fromIndex(queue[head]);
+    for (const [dx, dy, dz] of offsets) {
+      const nx = x + dx;
+      const ny = y + dy;
+      const nz = z + dz;
+      if (!grid.isInside(nx, ny, nz)) continue;
+      const neighborIndex = grid.toIndex(nx, ny, nz);
+      if (present[neighborIndex] && !visited[neighborIndex]) {
+        visited[neighborIndex] = 1;
+        queue.push(neighborIndex);
+      }
+    }
+  }
+
+  return queue.length === presentCount - 1;
+}
+
+export function analyzeSolvability(voxelData, gridSize, connectivityType = 'face') {
+  const totalCells = gridSize * gridSize * gridSize;
+  const targetCount = voxelData.filter(voxel => voxel).length;
+  const cellsToRemove = totalCells - targetCount;
+
+  const analysis = {
+    isSolvable: false,
+    minMoves: cellsToRemove,
+    removalOrder: [],
+    stuckVoxels: [],
+    reason: null
+  };
+
+  if (targetCount === 0) {
+    analysis.reason = 'Shape has no voxels - nothing would be left after chiselling';
+    return analysis;
+  }
+
+  if (!isShapeConnected(voxelData, gridSize, connectivityType)) {
+    analysis.reason = 'Shape is not connected, so it cannot be the single piece left after chiselling';
+    return analysis;
+  }
+
+  const cavities = findHiddenCavities(voxelData, gridSize);
+  if (cavities.length > 0) {
+    analysis.stuckVoxels = cavities;
+    analysis.reason = `${cavities.length} empty cells are sealed inside the shape and can never be chiselled out`;
+    return analysis;
+  }
+
+  const grid = createGridHelpers(gridSize);
+  const offsets = getNeighbors(0, 0, 0, connectivityType);
+  const distances = computeTargetDistances(voxelData, gridSize, grid);
+  const present = new Uint8Array(totalCells).fill(1);
+  let presentCount = totalCells;
+
+  const maxDistance = Math.max(0, ...distances);
+  const buckets = Array.from({ length: maxDistance + 1 }, () => []);
+  const queued = new Uint8Array(totalCells);
+
+  // A candidate that failed both removability checks stays stuck until a cell
+  // next to it goes: removing any other cell cannot reconnect the pieces it is
+  // holding together. Stuck candidates are skipped without rerunning the checks,
+  // and a bucket holding only stuck candidates is skipped as a whole.
+  const stuck = new Uint8Array(totalCells);
+  const stuckCounts = new Int32Array(maxDistance + 1);
+
+  const enqueueIfExposed = (index) => {
+    if (!voxelData[index] && present[index] && !queued[index] && isExposed(present, index, grid)) {
+      queued[index] = 1;
+      buckets[distances[index]].push(index);
+    }
+  };
+
+  const markStuck = (index) => {
+    stuck[index] = 1;
+    stuckCounts[distances[index]]++;
+  };
+
+  const clearStuck = (index) => {
+    if (stuck[index]) {
+      stuck[index] = 0;
+      stuckCounts[distances[index]]--;
+    }
+  };
+
+  for (let i = 0; i < totalCells; i++) {
+    enqueueIfExposed(i);
+  }
+
+  while (analysis.removalOrder.length < cellsToRemove) {
+    let removedIndex = -1;
+
+    for (let d = maxDistance; d > 0 && removedIndex === -1; d--) {
+      const bucket = buckets[d];
+      if (stuckCounts[d] === bucket.length) continue;
+      for (let i = bucket.length - 1; i >= 0; i--) {
+        const index = bucket[i];
+        if (stuck[index]) continue;
+        if (isLocallyRemovable(present, index, grid, offsets) ||
+            isGloballyRemovable(present, index, presentCount, grid, offsets)) {
+          removedIndex = index;
+          bucket.splice(i, 1);
+          break;
+        }
+        markStuck(index);
+      }
+    }
+
+    if (removedIndex === -1) break;
+
+    present[removedIndex] = 0;
+    presentCount--;
+    const position = grid.fromIndex(removedIndex);
+    analysis.removalOrder.push(position);
+
+    for (const [dx, dy, dz] of offsets) {
+      const nx = position.x + dx;
+      const ny = position.y + dy;
+      const nz = position.z + dz;
+      if (grid.isInside(nx, ny, nz)) {
+        clearStuck(grid.toIndex(nx, ny, nz));
+      }
+    }
+
+    for (const [dx, dy, dz] of FACE_OFFSETS) {
+      const nx = position.x + dx;
+      const ny = position.y + dy;
+      const nz = position.z + dz;
+      if (grid.isInside(nx, ny, nz)) {
+        enqueueIfExposed(grid.toIndex(nx, ny, nz));
+      }
+    }
+  }
+
+  if (analysis.removalOrder.length < cellsToRemove) {
+    for (let i = 0; i < totalCells; i++) {
+      if (present[i] && !voxelData[i]) {
+        analysis.stuckVoxels.push(grid.fromIndex(i));
+      }
+    }
+    analysis.reason = `${analysis.stuckVoxels.length} voxels cannot be chiselled without splitting the remaining block`;
+    return analysis;
+  }
+
+  analysis.isSolvable = true;
+  return analysis;
+}
+
+export function suggestMaxMoves(minMoves) {
+  return Math.min(MAX_MOVES_LIMIT, Math.max(1, Math.ceil(minMoves * (1 + SUGGESTED_SLACK))));
+}
+
+export function checkMaxMoves(analysis, maxMoves) {
+  const exceedsLimit = analysis.minMoves > MAX_MOVES_LIMIT;
+  return {
+    isTooLow: analysis.isSolvable && maxMoves < analysis.minMoves,
+    exceedsLimit,
+    suggestedMaxMoves: suggestMaxMoves(analysis.minMoves)
+  };
+}
@@ -0,0 +1,66 @@
+export const NO_SYMMETRY = { x: false, y: false, z: false, radialY: false };
+
+export function isSymmetryEnabled(symmetry) {
+  return !!symmetry && (symmetry.x || symmetry.y || symmetry.z || symmetry.radialY);
+}
+
+function positionKey({ x, y, z }) {
+  return `${x},${y},${z}`;
+}
+
+// Mirror planes pass through the grid center, so cell x maps to gridSize - 1 - x.
+function mirror(position, axis, gridSize) {
+  return { ...position, [axis]: gridSize - 1 - position[axis] };
+}
+
+// Quarter turn about the vertical axis through the grid center.
+function rotateAroundY(position, gridSize) {
+  return { x: gridSize - 1 - position.z, y: position.y, z: position.x };
+}
+
+// Every cell an edit at `position` should also touch, including position itself.
+// Mirrors and rotations are applied to everything generated so far, so combining
+// planes yields the full symmetry group (e.g. X+Z gives four cells).
+export function getSymmetricPositions(position, gridSize, symmetry) {
+  const positions = new Map([[positionKey(position), position]]);
+  if (!isSymmetryEnabled(symmetry)) return [position];
+
+  const addAll = (transform) => {
+    [...positions.values()].forEach(existing => {
+      const transformed = transform(existing);
+      positions.set(positionKey(transformed), transformed);
+    });
+  };
+
+  ['x', 'y', 'z'].forEach(axis => {
+    if (symmetry[axis]) {
+      addAll(p => mirror(p, axis, gridSize));
+    }
+  });
+
+  if (symmetry.radialY) {
+    for (let i = 0; i < 3; i++) {
+      addAll(p => rotateAroundY(p, gridSize));
+    }
+  }
+
+  return [...positions.values()];
+}
+
+export function describeSymmetry(symmetry) {
+  const parts = ['x', 'y', 'z'].filter(axis => symmetry[axis]).map(axis => axis.toUpperCase());
+  if (symmetry.radialY) parts.push('radial Y');
+  return parts.length > 0 ? parts.join(' + ') : 'off';
+}
+
+export function expandSymmetricPositions(positions, gridSize, symmetry) {
+  if (!isSymmetryEnabled(symmetry)) return positions;
+
+  const expanded = new Map();
+  positions.forEach(position => {
+    getSymmetricPositions(position, gridSize, symmetry).forEach(target => {
+      expanded.set(positionKey(target), target);
+    });
+  });
+  return [...expanded.values()];
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+
+function TabBar({ tabs, activeTabId, onSelect, onClose, onNew }) {
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'flex-end',
+      gap: '2px',
+      padding: '4px 4px 0 4px',
+      background: '#c0c0c0',
+      borderBottom: '1px solid #808080',
+      overflowX: 'auto'
+    }}>
+      {tabs.map(tab => {
+        const isActive = tab.id === activeTabId;
+        return (
+          <div
+            key={tab.id}
+            onClick={() => onSelect(tab.id)}
+            title={tab.isDirty ? `${tab.name} - unsaved changes` : tab.name}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '2px 6px',
+              cursor: 'default',
+              whiteSpace: 'nowrap',
+              background: isActive ? '#ffffff' : '#dfdfdf',
+              border: '1px solid #808080',
+              borderBottom: isActive ? '1px solid #ffffff' : '1px solid #808080',
+              marginBottom: '-1px',
+              fontWeight: isActive ? 'bold' : 'normal'
+            }}
+          >
+            <span>{tab.name}{tab.isDirty ? ' •' : ''}</span>
+            <span
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(tab.id);
+              }}
+              title="Close tab"
+              style={{ padding: '0 2px', color: '#404040' }}
+            >
+              ×
+            </span>
+          </div>
+        );
+      })}
+      <button onClick={onNew} title="New shape in a new tab" style={{ minWidth: 0, marginBottom: '2px' }}>
+        +
+      </button>
+    </div>
+  );
+}
+
+export default TabBar;
@@ -1,6 +1,15 @@
 import React from 'react';
+import { VOXEL_ENCODINGS, SUPPORTED_GRID_SIZES } from './ShapeSerializer';
+import { CONNECTIVITY_TYPES } from './ShapeValidator';
+import DifficultySuggestion from './DifficultySuggestion';
 
-function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata, onMetadataChange, voxelMode, onModeToggle, onSaveShape, onLoadShape }) {
+const ENCODING_LABELS = {
+  binary: 'Binary',
+  rle: 'Run-length',
+  base64: 'Base64 bits'
+};
+
+function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, onGridSizeChange, shapeMetadata, onMetadataChange, voxelMode, onModeToggle, onSaveShape, onLoadShape, onImportModel, convertOnLoad, onConvertOnLoadChange, onUndo, onRedo, canUndo, canRedo, activeTool, onToolChange, hasSelection, hasClipboard, onCopy, onCut, onPaste, symmetry, onSymmetryChange, onTransform, wrapShifts, onWrapShiftsChange, brushOptions, onBrushOptionsChange, solvability, isAnalyzing, maxMovesCheck, difficultyEstimate, validation, floatingPartCount, onDeleteFloating, onBridgeFloating, fileName, onFileNameChange, onExportShape, onExportModel, isDirty, exportEncoding, onExportEncodingChange, isSliceEditorOpen, onSliceEditorToggle, isBlueprintOpen, onBlueprintToggle, onOpenSilhouettes, isPlayTesting, onPlayTestToggle }) {
   const getVoxelDensity = () => {
     const totalVoxels = gridSize * gridSize * gridSize;
     return totalVoxels > 0 ? ((voxelCount / totalVoxels) * 100).toFixed(1) : 0;
@@ -20,9 +29,17 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
     });
   };
 
+  const handleTransformSelect = (e) => {
+    if (e.target.value) {
+      onTransform(e.target.value);
+    }
+    e.target.value = '';
+  };
+
   return (
     <div className="toolbar" style={{ 
-      height: '32px',
+      minHeight: '32px',
+      flexWrap: 'wrap',
       padding: '4px 8px',
       borderBottom: '1px solid #c0c0c0',
       background: '#c0c0c0',
@@ -34,6 +51,62 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
       <button onClick={onFillCube} title="Fill entire cube">Fill Cube</button>
       <button onClick={onClearGrid} title="Clear all voxels">Clear</button>
       
+      <div className="field-row">
+        <label>Grid:</label>
+        <select
+          value={gridSize}
+          onChange={(e) => onGridSizeChange(parseInt(e.target.value))}
+          title="Resize the grid - the shape is centered when growing and cropped when shrinking"
+        >
+          {SUPPORTED_GRID_SIZES.map(size => (
+            <option key={size} value={size}>{size}×{size}×{size}</option>
+          ))}
+        </select>
+      </div>
+      
+      <div style={{ 
+        width: '1px', 
+        height: '20px', 
+        background: '#808080', 
+        margin: '0 4px' 
+      }}></div>
+      
+      <button onClick={onLoadShape} title="Open a shape file in a new tab at its native grid size">Load</button>
+      <button onClick={onImportModel} title="Import a MagicaVoxel .vox or voxelize an OBJ/STL mesh">Import 3D…</button>
+      <div className="field-row" title="Convert loaded shapes to the current grid size (previews cropped voxels first)">
+        <input
+          type="checkbox"
+          id="convert-on-load"
+          checked={convertOnLoad}
+          onChange={(e) => onConvertOnLoadChange(e.target.checked)}
+        />
+        <label htmlFor="convert-on-load">Fit to grid</label>
+      </div>
+      <div className="field-row">
+        <label>Name:</label>
+        <input
+          type="text"
+          value={fileName}
+          onChange={(e) => onFileNameChange(e.target.value)}
+          title="Shape name in the library and file name when exporting (without .json)"
+          style={{ width: '90px' }}
+        />
+      </div>
+      <button className="default" onClick={onSaveShape} title="Save shape to the library (Ctrl+S)">
+        Save{isDirty ? ' •' : ''}
+      </button>
+      <button onClick={onExportShape} title="Download the shape as a Chiselcore JSON file">Export</button>
+      <select
+        value={exportEncoding}
+        onChange={(e) => onExportEncodingChange(e.target.value)}
+        title="How voxelDataString is written on export - binary is what every game version reads"
+      >
+        {VOXEL_ENCODINGS.map(encoding => (
+          <option key={encoding} value={encoding}>{ENCODING_LABELS[encoding]}</option>
+        ))}
+      </select>
+      <button onClick={onExportModel} title="Export as OBJ, STL, glTF or MagicaVoxel .vox">Export 3D…</button>
+      
       <div style={{ 
         width: '1px', 
         height: '20px', 
@@ -41,8 +114,8 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
         margin: '0 4px' 
       }}></div>
       
-      <button onClick={onLoadShape} title="Load shape from file">Load</button>
-      <button className="default" onClick={onSaveShape} title="Save shape to file">Save</button>
+      <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">Undo</button>
+      <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">Redo</button>
       
       <div style={{ 
         width: '1px', 
@@ -51,6 +124,84 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
         margin: '0 4px' 
       }}></div>
       
+      <div className="field-row">
+        <label>Tool:</label>
+        <select value={activeTool} onChange={(e) => onToolChange(e.target.value)}>
+          <option value="voxel">Voxel</option>
+          <option value="paint">Paint (drag)</option>
+          <optgroup label="Brushes">
+            <option value="line">Line</option>
+            <option value="rectangle">Rectangle</option>
+            <option value="box">Box</option>
+            <option value="sphere">Sphere</option>
+            <option value="cylinder">Cylinder</option>
+          </optgroup>
+          <option value="select">Select</option>
+        </select>
+      </div>
+      
+      <div className="field-row" title="Edit the shape one layer at a time next to the 3D view">
+        <input
+          type="checkbox"
+          id="slice-editor"
+          checked={isSliceEditorOpen}
+          onChange={(e) => onSliceEditorToggle(e.target.checked)}
+        />
+        <label htmlFor="slice-editor">Slices</label>
+      </div>
+      
+      <div className="field-row" title="Show the six blueprint silhouettes of the shape under the 3D view">
+        <input
+          type="checkbox"
+          id="blueprint-panel"
+          checked={isBlueprintOpen}
+          onChange={(e) => onBlueprintToggle(e.target.checked)}
+        />
+        <label htmlFor="blueprint-panel">Blueprint</label>
+      </div>
+      
+      <button onClick={onOpenSilhouettes} title="Build the shape from drawn front, side and top silhouettes">Silhouettes…</button>
+      <button
+        onClick={onPlayTestToggle}
+        title={isPlayTesting ? 'Stop the play test and go back to editing' : 'Chisel the shape from a full cube with the game rules'}
+      >
+        {isPlayTesting ? 'Stop play test' : 'Play test'}
+      </button>
+      
+      {(activeTool === 'sphere' || activeTool === 'cylinder') && (
+        <div className="field-row">
+          <label>Radius:</label>
+          <input
+            type="number"
+            min="1"
+            max={gridSize}
+            value={brushOptions.radius}
+            onChange={(e) => onBrushOptionsChange({ ...brushOptions, radius: Math.max(1, parseInt(e.target.value) || 1) })}
+            style={{ width: '36px' }}
+          />
+        </div>
+      )}
+      
+      {activeTool === 'box' && (
+        <div className="field-row">
+          <input
+            type="checkbox"
+            id="hollow-box"
+            checked={brushOptions.hollow}
+            onChange={(e) => onBrushOptionsChange({ ...brushOptions, hollow: e.target.checked })}
+          />
+          <label htmlFor="hollow-box">Hollow</label>
+        </div>
+      )}
+      
+      {activeTool === 'select' && (
+        <>
+          <button onClick={onCut} disabled={!hasSelection} title="Cut selection (Ctrl+X)">Cut</button>
+          <button onClick={onCopy} disabled={!hasSelection} title="Copy selection (Ctrl+C)">Copy</button>
+          <button onClick={onPaste} disabled={!hasClipboard} title="Paste clipboard (Ctrl+V)">Paste</button>
+        </>
+      )}
+      
       <button 
         onClick={onModeToggle} 
         title={`Switch to ${voxelMode === 'add' ? 'remove' : 'add'} mode`}
@@ -63,6 +214,61 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
         {voxelMode === 'add' ? 'Add Mode' : 'Remove Mode'}
       </button>
       
+      <select value="" onChange={handleTransformSelect} title="Transform the whole shape - the key shortcuts work while the 3D view has focus">
+        <option value="">Transform…</option>
+        <optgroup label="Rotate 90°">
+          <option value="rotate:x:+">Rotate about X (X)</option>
+          <option value="rotate:y:+">Rotate about Y (Y)</option>
+          <option value="rotate:z:+">Rotate about Z (Z)</option>
+          <option value="rotate:x:-">Rotate back about X (Shift+X)</option>
+          <option value="rotate:y:-">Rotate back about Y (Shift+Y)</option>
+          <option value="rotate:z:-">Rotate back about Z (Shift+Z)</option>
+        </optgroup>
+        <optgroup label="Mirror">
+          <option value="mirror:x">Mirror across X (Alt+X)</option>
+          <option value="mirror:y">Mirror across Y (Alt+Y)</option>
+          <option value="mirror:z">Mirror across Z (Alt+Z)</option>
+        </optgroup>
+        <optgroup label="Shift by 1">
+          <option value="shift:x:+">+X (→)</option>
+          <option value="shift:x:-">-X (←)</option>
+          <option value="shift:y:+">+Y (Page Up)</option>
+          <option value="shift:y:-">-Y (Page Down)</option>
+          <option value="shift:z:+">+Z (↓)</option>
+          <option value="shift:z:-">-Z (↑)</option>
+        </optgroup>
+        <option value="center">Center in grid (C)</option>
+      </select>
+      <div className="field-row" title="Shifted voxels wrap around to the opposite side (Shift+arrow toggles for one move)">
+        <input
+          type="checkbox"
+          id="wrap-shifts"
+          checked={wrapShifts}
+          onChange={(e) => onWrapShiftsChange(e.target.checked)}
+        />
+        <label htmlFor="wrap-shifts">Wrap</label>
+      </div>
+      
+      <div className="field-row" title="Mirror every add/remove through the grid center">
+        <label>Mirror:</label>
+        {[['x', 'X'], ['y', 'Y'], ['z', 'Z'], ['radialY', '4×Y']].map(([key, label]) => (
+          <React.Fragment key={key}>
+            <input
+              type="checkbox"
+              id={`symmetry-${key}`}
+              checked={symmetry[key]}
+              onChange={(e) => onSymmetryChange({ ...symmetry, [key]: e.target.checked })}
+            />
+            <label
+              htmlFor={`symmetry-${key}`}
+              title={key === 'radialY' ? 'Radial 4-fold symmetry around the vertical axis' : `Mirror across the ${label} plane`}
+            >
+              {label}
+            </label>
+          </React.Fragment>
+        ))}
+      </div>
+      
       <div style={{ 
         width: '1px', 
         height: '20px', 
@@ -90,6 +296,13 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
           onChange={handleDifficultyChange}
           style={{ width: '40px' }}
         />
+        {difficultyEstimate && (
+          <DifficultySuggestion
+            estimate={difficultyEstimate}
+            currentDifficulty={shapeMetadata.difficulty}
+            onApply={(difficulty) => onMetadataChange({ ...shapeMetadata, difficulty })}
+          />
+        )}
       </div>
       
       <div className="field-row">
@@ -104,12 +317,69 @@ function Toolbar({ onFillCube, onClearGrid, voxelCount, gridSize, shapeMetadata,
         />
       </div>
       
-      <span style={{ 
-        marginLeft: 'auto',
-        color: voxelCount > 0 ? '#008000' : '#800000'
-      }}>
-        {voxelCount > 0 ? '✅ Valid' : '⚠️ Needs voxels'}
-      </span>
+      <div className="field-row">
+        <label>Connectivity:</label>
+        <select
+          value={shapeMetadata.connectivity}
+          onChange={(e) => onMetadataChange({ ...shapeMetadata, connectivity: e.target.value })}
+          title="Which neighbours count as connected when validating the shape and chiselling it"
+        >
+          {CONNECTIVITY_TYPES.map(type => (
+            <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+          ))}
+        </select>
+      </div>
+      
+      {!solvability ? (
+        <span style={{ color: '#404040' }}>⏳ Checking moves…</span>
+      ) : solvability.isSolvable ? (
+        <div
+          className="field-row"
+          title={isAnalyzing ? 'Updating after the last edit…' : 'Fewest chisel moves needed to carve this shape out of a full cube'}
+          style={{ opacity: isAnalyzing ? 0.6 : 1 }}
+        >
+          <span style={{ color: maxMovesCheck.isTooLow || maxMovesCheck.exceedsLimit ? '#800000' : '#000000' }}>
+            Min moves: {solvability.minMoves}
+            {maxMovesCheck.isTooLow && ' ⚠️ above Max Moves'}
+            {maxMovesCheck.exceedsLimit && ' ⚠️ over the 999 limit'}
+          </span>
+          {maxMovesCheck.isTooLow && (
+            <button
+              onClick={() => onMetadataChange({ ...shapeMetadata, maxMoves: maxMovesCheck.suggestedMaxMoves })}
+              title="Set Max Moves to the minimum plus some slack"
+            >
+              Use {maxMovesCheck.suggestedMaxMoves}
+            </button>
+          )}
+        </div>
+      ) : (
+        <span style={{ color: '#800000', opacity: isAnalyzing ? 0.6 : 1 }} title={solvability.reason}>
+          ⚠️ Not carvable
+        </span>
+      )}
+      
+      <div className="field-row" style={{ marginLeft: 'auto' }}>
+        <span
+          style={{ color: validation.isValid ? '#008000' : '#800000' }}
+          title={validation.errors.concat(validation.warnings).join('\n')}
+        >
+          {!validation.hasVoxels ? '⚠️ Needs voxels' :
+            floatingPartCount > 0 ? `⚠️ ${floatingPartCount} floating part${floatingPartCount === 1 ? '' : 's'}` :
+            !validation.isValid ? `⚠️ ${validation.errors.length} error${validation.errors.length === 1 ? '' : 's'}` :
+            validation.warnings.length > 0 ? `✅ Valid (${validation.warnings.length} warning${validation.warnings.length === 1 ? '' : 's'})` :
+            '✅ Valid'}
+        </span>
+        {floatingPartCount > 0 && (
+          <>
+            <button onClick={onDeleteFloating} title="Remove every part that is not attached to the largest one">
+              Delete floating
+            </button>
+            <button onClick={onBridgeFloating} title="Connect floating parts to the main body with as few new voxels as possible">
+              Bridge
+            </button>
+          </>
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,76 @@
+import React from 'react';
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️'
+};
+
+function ValidationPanel({ validation, rulesetName, focusedRuleId, onFocusRule, onLoadRuleset, onResetRuleset }) {
+  const failedCount = validation.results.filter(result => !result.passed).length;
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      minHeight: 0,
+      flex: 1
+    }}>
+      <div style={{
+        padding: '2px 4px',
+        background: '#000080',
+        color: '#ffffff',
+        fontWeight: 'bold'
+      }}>
+        Validation ({failedCount === 0 ? 'all passed' : `${failedCount} failed`})
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '2px 0' }}>
+        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={rulesetName}>
+          {rulesetName}
+        </span>
+        <button onClick={onLoadRuleset} title="Load a ruleset JSON file for this project" style={{ minWidth: 0 }}>
+          Load…
+        </button>
+        <button onClick={onResetRuleset} title="Go back to the default rules" style={{ minWidth: 0 }}>
+          Reset
+        </button>
+      </div>
+
+      <div className="sunken-panel" style={{
+        flex: 1,
+        overflowY: 'auto',
+        background: '#ffffff'
+      }}>
+        {validation.results.map(result => {
+          const canFocus = result.positions.length > 0;
+          const isFocused = result.id === focusedRuleId;
+
+          return (
+            <div
+              key={result.id}
+              onClick={() => canFocus && onFocusRule(isFocused ? null : result.id)}
+              title={canFocus ? 'Click to highlight the voxels involved' : undefined}
+              style={{
+                padding: '1px 4px',
+                cursor: 'default',
+                background: isFocused ? '#000080' : 'transparent',
+                color: isFocused ? '#ffffff' : result.passed ? '#808080' : '#000000'
+              }}
+            >
+              <div>
+                {result.passed ? '✅' : SEVERITY_ICONS[result.severity]} {result.label}
+              </div>
+              {!result.passed && (
+                <div style={{ paddingLeft: '18px', fontSize: '11px' }}>
+                  {result.message}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ValidationPanel;
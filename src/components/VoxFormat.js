@@ -0,0 +1,105 @@
+// MagicaVoxel .vox files. MagicaVoxel is Z-up, so the editor's (x, y, z) with
+// y up is written as (x, n - 1 - z, y), which keeps the shape's handedness,
+// and read back the same way.
+
+const VOX_VERSION = 150;
+const VOXEL_COLOR_INDEX = 1;
+
+function writeChunkHeader(view, offset, id, contentSize, childrenSize) {
+  for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+  view.setUint32(offset + 4, contentSize, true);
+  view.setUint32(offset + 8, childrenSize, true);
+  return offset + 12;
+}
+
+export function exportVox(voxelData, n) {
+  const voxels = [];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        if (voxelData[x + y * n + z * n * n]) voxels.push([x, n - 1 - z, y]);
+      }
+    }
+  }
+
+  const sizeChunkLength = 12 + 12;
+  const xyziChunkLength = 12 + 4 + voxels.length * 4;
+  const bytes = new Uint8Array(8 + 12 + sizeChunkLength + xyziChunkLength);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < 4; i++) view.setUint8(i, 'VOX '.charCodeAt(i));
+  view.setUint32(4, VOX_VERSION, true);
+
+  let offset = writeChunkHeader(view, 8, 'MAIN', 0, sizeChunkLength + xyziChunkLength);
+
+  offset = writeChunkHeader(view, offset, 'SIZE', 12, 0);
+  [n, n, n].forEach(size => {
+    view.setUint32(offset, size, true);
+    offset += 4;
+  });
+
+  offset = writeChunkHeader(view, offset, 'XYZI', 4 + voxels.length * 4, 0);
+  view.setUint32(offset, voxels.length, true);
+  offset += 4;
+  voxels.forEach(([x, y, z]) => {
+    bytes.set([x, y, z, VOXEL_COLOR_INDEX], offset);
+    offset += 4;
+  });
+
+  return bytes;
+}
+
+function readChunkId(view, offset) {
+  return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+}
+
+// Reads the first model of a .vox file into a cube big enough for its largest
+// side, centered on the other two. Colors are ignored - a shape is one material.
+export function importVox(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 20 || readChunkId(view, 0) !== 'VOX ') {
+    throw new Error('Not a MagicaVoxel file (missing VOX header)');
+  }
+
+  let size = null;
+  let voxels = null;
+  let modelCount = 0;
+  // MAIN's content is empty, so its children start right after its header.
+  for (let offset = 20; offset + 12 <= bytes.length && !voxels;) {
+    const id = readChunkId(view, offset);
+    const contentSize = view.getUint32(offset + 4, true);
+    const content = offset + 12;
+
+    if (id === 'PACK') {
+      modelCount = view.getUint32(content, true);
+    } else if (id === 'SIZE') {
+      size = [0, 1, 2].map(i => view.getUint32(content + i * 4, true));
+    } else if (id === 'XYZI' && size) {
+      const count = view.getUint32(content, true);
+      voxels = [];
+      for (let i = 0; i < count; i++) {
+        const base = content + 4 + i * 4;
+        voxels.push([bytes[base], bytes[base + 1], bytes[base + 2]]);
+      }
+    }
+    offset = content + contentSize + view.getUint32(offset + 8, true);
+  }
+
+  if (!voxels) throw new Error('The .vox file contains no model');
+
+  const [sizeX, sizeY, sizeZ] = size;
+  const n = Math.max(sizeX, sizeY, sizeZ);
+  const offsetX = Math.floor((n - sizeX) / 2);
+  const offsetY = Math.floor((n - sizeY) / 2);
+  const offsetZ = Math.floor((n - sizeZ) / 2);
+  const voxelData = new Array(n * n * n).fill(false);
+  voxels.forEach(([voxX, voxY, voxZ]) => {
+    if (voxX >= sizeX || voxY >= sizeY || voxZ >= sizeZ) return;
+    const x = voxX + offsetX;
+    const y = voxZ + offsetZ;
+    const z = n - 1 - (voxY + offsetY);
+    voxelData[x + y * n + z * n * n] = true;
+  });
+
+  return { voxelData, gridSize: n, size, modelCount: Math.max(modelCount, 1) };
+}
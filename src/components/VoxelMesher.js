@@ -0,0 +1,129 @@
+// Turns voxelData into a surface mesh for the 3D exporters. Only faces between
+// a filled cell and an empty one (or the grid edge) are emitted; with
+// mergeFaces, coplanar neighbouring faces are merged into larger rectangles
+// (greedy meshing), which keeps flat sides to a handful of triangles.
+//
+// Everything here is plain arrays so it runs without a browser or three.js.
+// Coordinates match the viewport: y is up, voxel (x, y, z) spans [x, x + 1].
+
+function isFilled(voxelData, n, x, y, z) {
+  if (x < 0 || y < 0 || z < 0 || x >= n || y >= n || z >= n) return false;
+  return voxelData[x + y * n + z * n * n];
+}
+
+// Faces of one slice perpendicular to `axis`, facing `direction` (+1/-1),
+// as a mask over the two other axes.
+function buildFaceMask(voxelData, n, axis, direction, slice) {
+  const uAxis = (axis + 1) % 3;
+  const vAxis = (axis + 2) % 3;
+  const mask = new Array(n * n).fill(false);
+  const cell = [0, 0, 0];
+  const neighbour = [0, 0, 0];
+
+  for (let v = 0; v < n; v++) {
+    for (let u = 0; u < n; u++) {
+      cell[axis] = slice;
+      cell[uAxis] = u;
+      cell[vAxis] = v;
+      neighbour[axis] = slice + direction;
+      neighbour[uAxis] = u;
+      neighbour[vAxis] = v;
+      mask[u + v * n] = isFilled(voxelData, n, ...cell) && !isFilled(voxelData, n, ...neighbour);
+    }
+  }
+
+  return mask;
+}
+
+// Greedy rectangle cover of the mask: grow along u first, then along v while
+// the whole row is still covered.
+function extractRectangles(mask, n, mergeFaces) {
+  const rectangles = [];
+  const used = new Array(n * n).fill(false);
+
+  for (let v = 0; v < n; v++) {
+    for (let u = 0; u < n; u++) {
+      if (!mask[u + v * n] || used[u + v * n]) continue;
+
+      let width = 1;
+      let height = 1;
+      if (mergeFaces) {
+        while (u + width < n && mask[u + width + v * n] && !used[u + width + v * n]) width++;
+        const rowIsFree = (row) => {
+          for (let i = u; i < u + width; i++) {
+            if (!mask[i + row * n] || used[i + row * n]) return false;
+          }
+          return true;
+        };
+        while (v + height < n && rowIsFree(v + height)) height++;
+      }
+
+      for (let row = v; row < v + height; row++) {
+        for (let i = u; i < u + width; i++) used[i + row * n] = true;
+      }
+      rectangles.push({ u, v, width, height });
+    }
+  }
+
+  return rectangles;
+}
+
+// Returns { quads, positions, normals, indices }. Each quad has its own four
+// vertices so normals stay flat; indices form two counter-clockwise triangles
+// per quad when seen from outside.
+export function buildVoxelMesh(voxelData, n, { scale = 1, mergeFaces = true } = {}) {
+  const quads = [];
+
+  for (let axis = 0; axis < 3; axis++) {
+    const uAxis = (axis + 1) % 3;
+    const vAxis = (axis + 2) % 3;
+
+    [1, -1].forEach(direction => {
+      for (let slice = 0; slice < n; slice++) {
+        const mask = buildFaceMask(voxelData, n, axis, direction, slice);
+        const plane = direction > 0 ? slice + 1 : slice;
+
+        extractRectangles(mask, n, mergeFaces).forEach(({ u, v, width, height }) => {
+          const corner = (du, dv) => {
+            const point = [0, 0, 0];
+            point[axis] = plane * scale;
+            point[uAxis] = (u + du) * scale;
+            point[vAxis] = (v + dv) * scale;
+            return point;
+          };
+          // u × v points along +axis, so this order faces outward for +1.
+          const corners = [corner(0, 0), corner(width, 0), corner(width, height), corner(0, height)];
+          const normal = [0, 0, 0];
+          normal[axis] = direction;
+          quads.push({ corners: direction > 0 ? corners : corners.reverse(), normal });
+        });
+      }
+    });
+  }
+
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  quads.forEach((quad, index) => {
+    quad.corners.forEach(corner => {
+      positions.push(...corner);
+      normals.push(...quad.normal);
+    });
+    const base = index * 4;
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  });
+
+  return { quads, positions, normals, indices };
+}
+
+export function getMeshBounds(mesh) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], mesh.positions[i + axis]);
+      max[axis] = Math.max(max[axis], mesh.positions[i + axis]);
+    }
+  }
+  return { min, max };
+}
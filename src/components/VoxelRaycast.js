@@ -0,0 +1,113 @@
+// Voxel picking by ray-marching the grid cells (Amanatides & Woo DDA) instead of
+// intersecting scene meshes. Voxel (x, y, z) occupies the unit cube centered on
+// (x, y, z), so the grid spans [-0.5, gridSize - 0.5] on every axis.
+
+const AXES = ['x', 'y', 'z'];
+
+function intersectGridBounds(origin, direction, gridSize) {
+  let tEnter = -Infinity;
+  let tExit = Infinity;
+  let enterAxis = -1;
+
+  for (let axis = 0; axis < 3; axis++) {
+    const key = AXES[axis];
+    const min = -0.5;
+    const max = gridSize - 0.5;
+
+    if (direction[key] === 0) {
+      if (origin[key] < min || origin[key] > max) return null;
+      continue;
+    }
+
+    let t1 = (min - origin[key]) / direction[key];
+    let t2 = (max - origin[key]) / direction[key];
+    if (t1 > t2) [t1, t2] = [t2, t1];
+
+    if (t1 > tEnter) {
+      tEnter = t1;
+      enterAxis = axis;
+    }
+    tExit = Math.min(tExit, t2);
+  }
+
+  if (tEnter > tExit || tExit < 0) return null;
+
+  return { tEnter: Math.max(tEnter, 0), enterAxis: tEnter > 0 ? enterAxis : -1 };
+}
+
+export function isInsideGrid(x, y, z, gridSize) {
+  return x >= 0 && x < gridSize && y >= 0 && y < gridSize && z >= 0 && z < gridSize;
+}
+
+// Marches the ray through the grid and returns the first cell for which
+// isSolid(x, y, z) is true, with the face normal it was entered through and the
+// empty cell in front of that face (null when the face is on the grid boundary).
+export function raycastVoxelGrid(origin, direction, gridSize, isSolid) {
+  const bounds = intersectGridBounds(origin, direction, gridSize);
+  if (!bounds) return null;
+
+  const start = {
+    x: origin.x + direction.x * bounds.tEnter,
+    y: origin.y + direction.y * bounds.tEnter,
+    z: origin.z + direction.z * bounds.tEnter
+  };
+
+  const cell = [0, 0, 0];
+  const step = [0, 0, 0];
+  const tMax = [Infinity, Infinity, Infinity];
+  const tDelta = [Infinity, Infinity, Infinity];
+  const normal = [0, 0, 0];
+
+  for (let axis = 0; axis < 3; axis++) {
+    const key = AXES[axis];
+    const dir = direction[key];
+    cell[axis] = Math.min(gridSize - 1, Math.max(0, Math.floor(start[key] + 0.5)));
+
+    if (dir > 0) {
+      step[axis] = 1;
+      tMax[axis] = bounds.tEnter + (cell[axis] + 0.5 - start[key]) / dir;
+      tDelta[axis] = 1 / dir;
+    } else if (dir < 0) {
+      step[axis] = -1;
+      tMax[axis] = bounds.tEnter + (cell[axis] - 0.5 - start[key]) / dir;
+      tDelta[axis] = -1 / dir;
+    }
+  }
+
+  if (bounds.enterAxis >= 0) {
+    normal[bounds.enterAxis] = -step[bounds.enterAxis];
+  }
+
+  let distance = bounds.tEnter;
+  const maxSteps = gridSize * 3 + 3;
+
+  for (let i = 0; i < maxSteps; i++) {
+    if (!isInsideGrid(cell[0], cell[1], cell[2], gridSize)) return null;
+
+    if (isSolid(cell[0], cell[1], cell[2])) {
+      const adjacent = { x: cell[0] + normal[0], y: cell[1] + normal[1], z: cell[2] + normal[2] };
+      const hasNormal = normal[0] !== 0 || normal[1] !== 0 || normal[2] !== 0;
+
+      return {
+        voxel: { x: cell[0], y: cell[1], z: cell[2] },
+        normal: { x: normal[0], y: normal[1], z: normal[2] },
+        adjacent: hasNormal && isInsideGrid(adjacent.x, adjacent.y, adjacent.z, gridSize) ? adjacent : null,
+        distance
+      };
+    }
+
+    let axis = 0;
+    if (tMax[1] < tMax[axis]) axis = 1;
+    if (tMax[2] < tMax[axis]) axis = 2;
+
+    distance = tMax[axis];
+    cell[axis] += step[axis];
+    tMax[axis] += tDelta[axis];
+    normal[0] = 0;
+    normal[1] = 0;
+    normal[2] = 0;
+    normal[axis] = -step[axis];
+  }
+
+  return null;
+}
@@ -0,0 +1,158 @@
+import { isInsideGrid } from './VoxelRaycast';
+import { createGridHelpers } from './SolvabilityChecker';
+
+// Box selections are stored as inclusive { min, max } corners in grid coordinates.
+// Clipboards hold a dense copy of the selected box, indexed like the voxel grid
+// but with their own size on each axis.
+
+export function createSelection(a, b) {
+  return {
+    min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+    max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+  };
+}
+
+export function extendSelection(selection, point) {
+  if (!selection) return createSelection(point, point);
+  return {
+    min: { x: Math.min(selection.min.x, point.x), y: Math.min(selection.min.y, point.y), z: Math.min(selection.min.z, point.z) },
+    max: { x: Math.max(selection.max.x, point.x), y: Math.max(selection.max.y, point.y), z: Math.max(selection.max.z, point.z) }
+  };
+}
+
+export function selectAll(gridSize) {
+  return createSelection({ x: 0, y: 0, z: 0 }, { x: gridSize - 1, y: gridSize - 1, z: gridSize - 1 });
+}
+
+export function getSelectionSize(selection) {
+  return {
+    x: selection.max.x - selection.min.x + 1,
+    y: selection.max.y - selection.min.y + 1,
+    z: selection.max.z - selection.min.z + 1
+  };
+}
+
+export function isSelectionInsideGrid(selection, gridSize) {
+  return isInsideGrid(selection.min.x, selection.min.y, selection.min.z, gridSize) &&
+         isInsideGrid(selection.max.x, selection.max.y, selection.max.z, gridSize);
+}
+
+export function offsetSelection(selection, offset) {
+  return {
+    min: { x: selection.min.x + offset.x, y: selection.min.y + offset.y, z: selection.min.z + offset.z },
+    max: { x: selection.max.x + offset.x, y: selection.max.y + offset.y, z: selection.max.z + offset.z }
+  };
+}
+
+// Limits a move along one axis so the selection box stays inside the grid.
+export function clampSelectionOffset(selection, axis, amount, gridSize) {
+  const minAmount = -selection.min[axis];
+  const maxAmount = gridSize - 1 - selection.max[axis];
+  return Math.max(minAmount, Math.min(maxAmount, amount));
+}
+
+export function getSelectedPositions(voxelData, gridSize, selection) {
+  const grid = createGridHelpers(gridSize);
+  const positions = [];
+  for (let z = selection.min.z; z <= selection.max.z; z++) {
+    for (let y = selection.min.y; y <= selection.max.y; y++) {
+      for (let x = selection.min.x; x <= selection.max.x; x++) {
+        if (voxelData[grid.toIndex(x, y, z)]) {
+          positions.push({ x, y, z });
+        }
+      }
+    }
+  }
+  return positions;
+}
+
+export function copyRegion(voxelData, gridSize, selection) {
+  const grid = createGridHelpers(gridSize);
+  const size = getSelectionSize(selection);
+  const cells = new Array(size.x * size.y * size.z).fill(false);
+  let voxelCount = 0;
+
+  for (let z = 0; z < size.z; z++) {
+    for (let y = 0; y < size.y; y++) {
+      for (let x = 0; x < size.x; x++) {
+        const isActive = !!voxelData[grid.toIndex(selection.min.x + x, selection.min.y + y, selection.min.z + z)];
+        cells[x + y * size.x + z * size.x * size.y] = isActive;
+        if (isActive) voxelCount++;
+      }
+    }
+  }
+
+  return { size, cells, voxelCount };
+}
+
+export function clearRegion(voxelData, gridSize, selection) {
+  const grid = createGridHelpers(gridSize);
+  const newData = [...voxelData];
+  for (let z = selection.min.z; z <= selection.max.z; z++) {
+    for (let y = selection.min.y; y <= selection.max.y; y++) {
+      for (let x = selection.min.x; x <= selection.max.x; x++) {
+        newData[grid.toIndex(x, y, z)] = false;
+      }
+    }
+  }
+  return newData;
+}
+
+// Positions the clipboard's active cells would occupy with its minimum corner at
+// origin. Cells that fall outside the grid are counted rather than returned.
+export function getClipboardPlacement(clipboard, origin, gridSize) {
+  const positions = [];
+  let clippedCount = 0;
+  const { size, cells } = clipboard;
+
+  for (let z = 0; z < size.z; z++) {
+    for (let y = 0; y < size.y; y++) {
+      for (let x = 0; x < size.x; x++) {
+        if (!cells[x + y * size.x + z * size.x * size.y]) continue;
+
+        const position = { x: origin.x + x, y: origin.y + y, z: origin.z + z };
+        if (isInsideGrid(position.x, position.y, position.z, gridSize)) {
+          positions.push(position);
+        } else {
+          clippedCount++;
+        }
+      }
+    }
+  }
+
+  return { positions, clippedCount };
+}
+
+// Pasting merges into the shape: empty clipboard cells never erase existing voxels.
+export function pasteRegion(voxelData, gridSize, clipboard, origin) {
+  const grid = createGridHelpers(gridSize);
+  const { positions, clippedCount } = getClipboardPlacement(clipboard, origin, gridSize);
+  const newData = [...voxelData];
+  let changedCount = 0;
+  positions.forEach(({ x, y, z }) => {
+    const index = grid.toIndex(x, y, z);
+    if (!newData[index]) changedCount++;
+    newData[index] = true;
+  });
+
+  const pastedSelection = createSelection(origin, {
+    x: Math.min(gridSize - 1, origin.x + clipboard.size.x - 1),
+    y: Math.min(gridSize - 1, origin.y + clipboard.size.y - 1),
+    z: Math.min(gridSize - 1, origin.z + clipboard.size.z - 1)
+  });
+
+  return { voxelData: newData, selection: pastedSelection, pastedCount: positions.length, changedCount, clippedCount };
+}
+
+export function moveRegion(voxelData, gridSize, selection, offset) {
+  const clipboard = copyRegion(voxelData, gridSize, selection);
+  const clearedData = clearRegion(voxelData, gridSize, selection);
+  const target = offsetSelection(selection, offset);
+  const result = pasteRegion(clearedData, gridSize, clipboard, target.min);
+
+  return {
+    voxelData: result.voxelData,
+    selection: target,
+    clippedCount: result.clippedCount
+  };
+}
@@ -0,0 +1,84 @@
+import { voxelDataToBinaryString, binaryStringToVoxelData, detectGridSize, exportToJSON } from './ShapeSerializer';
+
+// The shape library: every named shape of the project, persisted in
+// localStorage. Open tabs are working copies of library entries and only write
+// back to the library when saved.
+const STORAGE_KEY = 'chiselcore.library';
+
+export function createShapeId() {
+  return `shape-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadLibrary() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Could not read the shape library:', error);
+    return [];
+  }
+}
+
+// Throws when storage is full so the caller can tell the user the save failed.
+export function storeLibrary(library) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+}
+
+export function createLibraryEntry({ id, name, voxelData, gridSize, metadata, thumbnail }) {
+  return {
+    id,
+    name,
+    gridSize,
+    voxelDataString: voxelDataToBinaryString(voxelData),
+    metadata: { ...metadata },
+    thumbnail,
+    updatedAt: Date.now()
+  };
+}
+
+export function libraryEntryToShape(entry) {
+  return {
+    voxelData: binaryStringToVoxelData(entry.voxelDataString),
+    gridSize: detectGridSize(entry.voxelDataString),
+    metadata: { connectivity: 'face', ...entry.metadata },
+    name: entry.name
+  };
+}
+
+// Inserts `entry` or replaces the one with the same id, keeping the library
+// ordered by name so the panel reads like a file list.
+export function upsertLibraryEntry(library, entry) {
+  const others = library.filter(existing => existing.id !== entry.id);
+  return [...others, entry].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getUniqueShapeName(library, baseName) {
+  const names = new Set(library.map(entry => entry.name));
+  if (!names.has(baseName)) return baseName;
+
+  let counter = 2;
+  while (names.has(`${baseName} (${counter})`)) counter++;
+  return `${baseName} (${counter})`;
+}
+
+export function downloadBlob(fileName, data, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadDataUrl(fileName, dataUrl) {
+  const a = document.createElement('a');
+  a.href = dataUrl;
+  a.download = fileName;
+  a.click();
+}
+
+export function downloadShapeFile(name, voxelData, metadata, encoding) {
+  const jsonData = exportToJSON(voxelData, metadata, encoding);
+  downloadBlob(`${name}.json`, JSON.stringify(jsonData, null, 2), 'application/json');
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_HISTORY_ENTRIES,
+  MERGE_WINDOW_MS,
+  createHistory,
+  createCommand,
+  pushCommand,
+  travelTo,
+  getCurrentEntry
+} from '../src/components/EditHistory.js';
+
+const metadata = { difficulty: 5, maxMoves: 50, connectivity: 'face' };
+
+function createMaxMovesCommand(previous, next, timestamp) {
+  const command = createCommand(
+    `Set max moves to ${next}`,
+    { gridSize: 2, voxelData: [], metadata: { ...metadata, maxMoves: previous } },
+    { gridSize: 2, voxelData: [], metadata: { ...metadata, maxMoves: next } },
+    'maxMoves'
+  );
+  return { ...command, timestamp };
+}
+
+function createToggleCommand(index) {
+  const before = new Array(8).fill(false);
+  const after = [...before];
+  after[index % 8] = true;
+  return createCommand(`Toggle ${index}`, { gridSize: 2, voxelData: before, metadata }, { gridSize: 2, voxelData: after, metadata });
+}
+
+test('same-key edits in quick succession merge into one entry', () => {
+  let history = pushCommand(createHistory(), createMaxMovesCommand(50, 2, 1000));
+  history = pushCommand(history, createMaxMovesCommand(2, 25, 1000 + MERGE_WINDOW_MS));
+  assert.equal(history.entries.length, 1);
+  assert.equal(history.entries[0].metadataChange.previous.maxMoves, 50);
+  assert.equal(history.entries[0].metadataChange.next.maxMoves, 25);
+});
+
+test('same-key edits far apart stay separate undo steps', () => {
+  let history = pushCommand(createHistory(), createMaxMovesCommand(50, 60, 1000));
+  history = pushCommand(history, createMaxMovesCommand(60, 70, 1000 + MERGE_WINDOW_MS + 1));
+  assert.equal(history.entries.length, 2);
+});
+
+test('trimming the oldest entries keeps a base marker for cursor 0', () => {
+  let history = createHistory();
+  assert.equal(getCurrentEntry(history), null);
+
+  const commands = Array.from({ length: MAX_HISTORY_ENTRIES + 2 }, (_, index) => createToggleCommand(index));
+  commands.forEach(command => { history = pushCommand(history, command); });
+
+  assert.equal(history.entries.length, MAX_HISTORY_ENTRIES);
+  assert.equal(history.base, commands[1]);
+
+  const state = { gridSize: 2, voxelData: new Array(8).fill(false), metadata };
+  const undone = travelTo(history, state, 0).history;
+  assert.equal(undone.cursor, 0);
+  assert.equal(getCurrentEntry(undone), commands[1]);
+  assert.notEqual(getCurrentEntry(undone), null);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zipSync, strToU8 } from 'fflate';
+import { readShapeFiles, checkShapeFile } from '../src/components/LevelPack.js';
+
+function createFile(name, bytes) {
+  return {
+    name,
+    arrayBuffer: async () => bytes.buffer,
+    text: async () => new TextDecoder().decode(bytes)
+  };
+}
+
+test('a corrupt zip is reported on its own and the other files are still read', async () => {
+  const pack = zipSync({ 'a.json': strToU8('{}'), 'b.json': strToU8('{}') });
+  const shapeFiles = await readShapeFiles([
+    createFile('broken.zip', strToU8('not a zip')),
+    createFile('pack.zip', pack),
+    createFile('single.json', strToU8('{}'))
+  ]);
+
+  assert.deepEqual(shapeFiles.map(shapeFile => shapeFile.fileName), ['broken.zip', 'a.json', 'b.json', 'single.json']);
+  assert.ok(shapeFiles[0].readError);
+
+  const result = checkShapeFile(shapeFiles[0]);
+  assert.equal(result.isValid, false);
+  assert.equal(result.shape, null);
+  assert.match(result.errors[0], /^Could not read the file/);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUPPORTED_GRID_SIZES } from '../src/components/ShapeSerializer.js';
+import { buildVoxelMesh } from '../src/components/VoxelMesher.js';
+import { exportOBJ, exportSTL, createModelFile } from '../src/components/ModelExporters.js';
+import { exportVox, importVox } from '../src/components/VoxFormat.js';
+import { parseOBJ, parseSTL, voxelizeTriangles } from '../src/components/MeshVoxelizer.js';
+
+function createShape(n, isFilled) {
+  const voxelData = [];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) voxelData.push(isFilled(x, y, z));
+    }
+  }
+  return voxelData;
+}
+
+// A staircase with a notch cut into its side. It touches every side of the
+// grid, so voxelizing its mesh back at the same size lines up cell for cell.
+function createStairs(n) {
+  return createShape(n, (x, y, z) => y <= n - 1 - x && !(z === 0 && y === 0 && x > 0 && x < n - 1));
+}
+
+function createRandomShape(n, seed) {
+  let state = seed;
+  return createShape(n, () => {
+    state = (state * 16807) % 2147483647;
+    return state % 2 === 0;
+  });
+}
+
+function subtract(a, b) {
+  return a.map((value, i) => value - b[i]);
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Divergence theorem: a closed mesh wound outward encloses a positive volume.
+function getEnclosedVolume(mesh) {
+  let volume = 0;
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => mesh.positions.slice(mesh.indices[i + k] * 3, mesh.indices[i + k] * 3 + 3));
+    volume += dot(a, cross(b, c)) / 6;
+  }
+  return volume;
+}
+
+test('a full cube merges into six quads', () => {
+  SUPPORTED_GRID_SIZES.forEach(n => {
+    const mesh = buildVoxelMesh(new Array(n * n * n).fill(true), n, { mergeFaces: true });
+    assert.equal(mesh.quads.length, 6, `${n}³`);
+    assert.equal(mesh.indices.length, 36, `${n}³`);
+  });
+});
+
+test('without merging a full cube keeps one quad per outer face', () => {
+  const n = 5;
+  const mesh = buildVoxelMesh(new Array(n * n * n).fill(true), n, { mergeFaces: false });
+  assert.equal(mesh.quads.length, 6 * n * n);
+});
+
+test('hidden faces between filled cells are culled', () => {
+  const n = 4;
+  const twoCubes = createShape(n, (x, y, z) => y === 0 && z === 0 && x < 2);
+  assert.equal(buildVoxelMesh(twoCubes, n, { mergeFaces: false }).quads.length, 10);
+  assert.equal(buildVoxelMesh(twoCubes, n, { mergeFaces: true }).quads.length, 6);
+});
+
+test('every triangle is wound counter-clockwise seen from outside', () => {
+  [createStairs(6), createRandomShape(7, 42)].forEach(voxelData => {
+    [true, false].forEach(mergeFaces => {
+      const mesh = buildVoxelMesh(voxelData, Math.round(Math.cbrt(voxelData.length)), { mergeFaces });
+      for (let i = 0; i < mesh.indices.length; i += 3) {
+        const [a, b, c] = [0, 1, 2].map(k => mesh.indices[i + k]);
+        const vertex = (index) => mesh.positions.slice(index * 3, index * 3 + 3);
+        const faceNormal = cross(subtract(vertex(b), vertex(a)), subtract(vertex(c), vertex(a)));
+        assert.ok(dot(faceNormal, mesh.normals.slice(a * 3, a * 3 + 3)) > 0, `triangle ${i / 3}`);
+      }
+    });
+  });
+});
+
+test('the mesh encloses exactly the filled voxels', () => {
+  [createStairs(6), createRandomShape(7, 42), createRandomShape(8, 7)].forEach(voxelData => {
+    const n = Math.round(Math.cbrt(voxelData.length));
+    const voxelCount = voxelData.filter(voxel => voxel).length;
+    assert.ok(Math.abs(getEnclosedVolume(buildVoxelMesh(voxelData, n)) - voxelCount) < 1e-6);
+    assert.ok(Math.abs(getEnclosedVolume(buildVoxelMesh(voxelData, n, { scale: 2 })) - voxelCount * 8) < 1e-6);
+  });
+});
+
+test('binary STL holds 50 bytes per triangle after the header', () => {
+  const mesh = buildVoxelMesh(createStairs(6), 6);
+  const bytes = exportSTL(mesh, 'stairs');
+  assert.equal(bytes.length, 84 + (mesh.indices.length / 3) * 50);
+  assert.equal(new DataView(bytes.buffer).getUint32(80, true), mesh.indices.length / 3);
+});
+
+test('OBJ and STL exports voxelize back to the same shape', () => {
+  const n = 6;
+  const voxelData = createStairs(n);
+  const mesh = buildVoxelMesh(voxelData, n);
+
+  assert.deepEqual(voxelizeTriangles(parseOBJ(exportOBJ(mesh, 'stairs')), n, 'solid').voxelData, voxelData);
+  assert.deepEqual(voxelizeTriangles(parseSTL(exportSTL(mesh, 'stairs')), n, 'solid').voxelData, voxelData);
+});
+
+test('.vox export and import round-trip every supported grid size', () => {
+  SUPPORTED_GRID_SIZES.forEach(n => {
+    const voxelData = createRandomShape(n, n * 31);
+    const imported = importVox(exportVox(voxelData, n));
+    assert.equal(imported.gridSize, n);
+    assert.equal(imported.modelCount, 1);
+    assert.deepEqual(imported.voxelData, voxelData, `${n}³`);
+  });
+});
+
+test('createModelFile names the file and picks the writer for each format', () => {
+  const voxelData = createStairs(4);
+  assert.equal(createModelFile('obj', voxelData, 4, {}, 'stairs').fileName, 'stairs.obj');
+  assert.ok(createModelFile('vox', voxelData, 4, {}, 'stairs').data instanceof Uint8Array);
+  assert.equal(typeof createModelFile('gltf', voxelData, 4, { scale: 0.5 }, 'stairs').data, 'string');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlayTest, getChiselError, chiselVoxel, createMoveLog } from '../src/components/PlayTest.js';
+
+const n = 3;
+const toIndex = ({ x, y, z }) => x + y * n + z * n * n;
+const fromIndex = (index) => ({ x: index % n, y: Math.floor(index / n) % n, z: Math.floor(index / (n * n)) });
+
+// The two-voxel bar in the bottom front corner of a 3³ grid.
+function createBarTarget() {
+  const target = new Array(n * n * n).fill(false);
+  target[toIndex({ x: 0, y: 0, z: 0 })] = true;
+  target[toIndex({ x: 1, y: 0, z: 0 })] = true;
+  return target;
+}
+
+// Chisels from the far corner back, which never splits the block.
+function playWasteInOrder(session) {
+  let next = session;
+  for (let index = n * n * n - 1; index >= 0 && next.status === 'playing'; index--) {
+    if (!session.targetData[index] && next.block[index]) next = chiselVoxel(next, fromIndex(index));
+  }
+  return next;
+}
+
+test('carving away exactly the waste wins', () => {
+  const session = playWasteInOrder(createPlayTest(createBarTarget(), n, 30, 'face'));
+  assert.equal(session.status, 'won');
+  assert.equal(session.moves.length, 25);
+  assert.equal(createMoveLog(session, 'bar').mistakeCount, 0);
+});
+
+test('the game rules refuse buried voxels and splitting moves', () => {
+  let session = createPlayTest(createBarTarget(), n, 30, 'face');
+  assert.equal(getChiselError(session, { x: 1, y: 1, z: 1 }), 'That voxel has no exposed face');
+
+  // Leave a three-voxel line; taking its middle would cut it in two.
+  const line = new Array(n * n * n).fill(false);
+  [0, 1, 2].forEach(x => { line[toIndex({ x, y: 0, z: 0 })] = true; });
+  session = playWasteInOrder(createPlayTest(line, n, 30, 'face'));
+  assert.equal(getChiselError(session, { x: 1, y: 0, z: 0 }), 'Chiselling that voxel would split the block');
+});
+
+test('mistakes are counted and the run keeps going until it ends', () => {
+  let session = createPlayTest(createBarTarget(), n, 30, 'face');
+  session = chiselVoxel(session, { x: 0, y: 0, z: 0 });
+  assert.equal(session.status, 'playing');
+  session = chiselVoxel(session, { x: 2, y: 2, z: 2 });
+  session = chiselVoxel(session, { x: 1, y: 0, z: 0 });
+  assert.equal(session.status, 'playing');
+
+  session = playWasteInOrder(session);
+  const log = createMoveLog(session, 'bar');
+  assert.equal(session.status, 'lost');
+  assert.equal(log.mistakeCount, 2);
+  assert.deepEqual(log.moves[0], { x: 0, y: 0, z: 0, isMistake: true });
+});
+
+test('running out of moves loses', () => {
+  let session = createPlayTest(createBarTarget(), n, 2, 'face');
+  session = chiselVoxel(session, { x: 2, y: 2, z: 2 });
+  session = chiselVoxel(session, { x: 2, y: 2, z: 1 });
+  assert.equal(session.status, 'lost');
+  assert.equal(session.reason, 'Ran out of moves after 2');
+});
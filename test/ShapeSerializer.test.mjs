@@ -0,0 +1,85 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SUPPORTED_GRID_SIZES,
+  VOXEL_ENCODINGS,
+  voxelDataToBinaryString,
+  encodeBinaryString,
+  decodeVoxelDataString,
+  exportToJSON,
+  importFromJSON
+} from '../src/components/ShapeSerializer.js';
+
+// importFromJSON logs every import while debugging in the browser.
+mock.method(console, 'log', () => {});
+
+// Same shapes on every run: a fixed-seed generator rather than Math.random.
+function createRandomVoxels(gridSize, seed) {
+  let state = seed;
+  return Array.from({ length: gridSize * gridSize * gridSize }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % 3 === 0;
+  });
+}
+
+function getSampleShapes(gridSize) {
+  const cellCount = gridSize * gridSize * gridSize;
+  return {
+    random: createRandomVoxels(gridSize, gridSize),
+    full: new Array(cellCount).fill(true),
+    empty: new Array(cellCount).fill(false),
+    alternating: Array.from({ length: cellCount }, (_, index) => index % 2 === 0)
+  };
+}
+
+SUPPORTED_GRID_SIZES.forEach(gridSize => {
+  VOXEL_ENCODINGS.forEach(encoding => {
+    test(`${encoding} round-trips a ${gridSize}³ grid`, () => {
+      Object.entries(getSampleShapes(gridSize)).forEach(([name, voxelData]) => {
+        const binaryString = voxelDataToBinaryString(voxelData);
+        const encoded = encodeBinaryString(binaryString, encoding);
+        assert.equal(decodeVoxelDataString(encoded, encoding), binaryString, `${name} shape`);
+      });
+    });
+
+    test(`${encoding} export and import keep a ${gridSize}³ shape`, () => {
+      const voxelData = createRandomVoxels(gridSize, gridSize * 7);
+      const metadata = { difficulty: 7, maxMoves: 120, connectivity: 'edge' };
+      const jsonData = exportToJSON(voxelData, metadata, encoding);
+      const shape = importFromJSON(JSON.parse(JSON.stringify(jsonData)));
+
+      assert.equal(jsonData.voxelDataEncoding, encoding === 'binary' ? undefined : encoding);
+      assert.equal(shape.gridSize, gridSize);
+      assert.deepEqual(shape.voxelData, voxelData);
+      assert.deepEqual(shape.metadata, metadata);
+    });
+  });
+});
+
+test('rle is shorter than binary for large uniform regions', () => {
+  const binaryString = voxelDataToBinaryString(getSampleShapes(16).full);
+  assert.equal(encodeBinaryString(binaryString, 'rle'), '4096x1');
+});
+
+test('malformed rle runs are rejected', () => {
+  ['', 'abc', '12x2', '12x1,', 'x1', '3x1;4x0', '-3x1'].forEach(value => {
+    assert.throws(() => decodeVoxelDataString(value, 'rle'), /rle voxel data must be/, JSON.stringify(value));
+  });
+});
+
+test('rle runs that expand past any grid are rejected', () => {
+  assert.throws(() => decodeVoxelDataString('99999999x1', 'rle'), /more than any grid holds/);
+});
+
+test('invalid base64 is rejected', () => {
+  assert.throws(() => decodeVoxelDataString('not*base64!', 'base64'), /not valid base64/);
+});
+
+test('base64 byte counts that hold no whole cube are rejected', () => {
+  // 3 bytes hold 24 bits: 2³ would fit in a single byte, 3³ needs 4 bytes.
+  assert.throws(() => decodeVoxelDataString(btoa('\xff\xff\xff'), 'base64'), /does not hold a whole cube/);
+});
+
+test('unknown encodings are rejected', () => {
+  assert.throws(() => decodeVoxelDataString('0101', 'hex'), /Unknown voxelDataEncoding "hex"/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSolvability } from '../src/components/SolvabilityChecker.js';
+import { createPlayTest, getChiselError, chiselVoxel } from '../src/components/PlayTest.js';
+
+function createShape(n, isFilled) {
+  const voxelData = [];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) voxelData.push(isFilled(x, y, z));
+    }
+  }
+  return voxelData;
+}
+
+// Three bars crossing in the middle of the grid; carving it leaves many cells
+// stuck for a while until the cells next to them are gone.
+const createCross = (n) => createShape(n, (x, y, z) => {
+  const m = Math.floor(n / 2);
+  return (x === m && y === m) || (y === m && z === m) || (x === m && z === m);
+});
+
+test('the removal order replays as legal moves and carves the target', () => {
+  const n = 6;
+  const voxelData = createCross(n);
+  ['face', 'edge', 'vertex'].forEach(connectivity => {
+    const analysis = analyzeSolvability(voxelData, n, connectivity);
+    assert.equal(analysis.isSolvable, true, connectivity);
+    assert.equal(analysis.removalOrder.length, analysis.minMoves);
+
+    let session = createPlayTest(voxelData, n, analysis.minMoves, connectivity);
+    analysis.removalOrder.forEach(position => {
+      assert.equal(getChiselError(session, position), null, `${connectivity} (${position.x}, ${position.y}, ${position.z})`);
+      session = chiselVoxel(session, position);
+    });
+    assert.equal(session.status, 'won', connectivity);
+  });
+});
+
+test('a shape that is not one piece is reported unsolvable without a removal order', () => {
+  const n = 4;
+  const analysis = analyzeSolvability(createShape(n, (x, y, z) => y === 0 && z === 0 && (x === 0 || x === 3)), n);
+  assert.equal(analysis.isSolvable, false);
+  assert.deepEqual(analysis.removalOrder, []);
+});
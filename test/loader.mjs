@@ -0,0 +1,15 @@
+// Lets Node load the editor sources the way webpack does: ES modules in .js
+// files, imported without the file extension.
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.includes('/src/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}